@@ -1,13 +1,20 @@
 // app.js
 // Saavan '25 — Minimalist Role Collection Bot with Email Verification
-// Auto-triggers on join, checks existing roles, single category selection
+// Auto-triggers on join, checks existing roles, rule-checked role selection
 // Student email verification via SMTP + verification code
 // Usage: create a bot, give it "Manage Roles", set .env, then: `node app.js`
-// Requires: npm i discord.js dotenv nodemailer express
+// Roles, categories, email domains and channel names: config/bot.yaml (BOT_CONFIG to override)
+// Several servers: list them in a guilds file (GUILDS_CONFIG, see src/guilds.js)
+// Email templates (HTML + text, per language): templates/email/
+// Member-facing bot messages, per language: templates/messages/
+// Requires: npm i discord.js dotenv nodemailer express better-sqlite3 yaml prom-client
 
 "use strict";
 
 require("dotenv").config();
+const crypto = require("crypto");
+const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
 const express = require("express");
 const {
   Client,
@@ -20,10 +27,52 @@ const {
   ModalBuilder,
   TextInputBuilder,
   TextInputStyle,
-  PermissionsBitField
+  PermissionsBitField,
+  AttachmentBuilder
 } = require("discord.js");
 
-const nodemailer = require("nodemailer");
+const { createStorage, storageFile } = require("./src/storage");
+const { createVerificationGuard, formatWait, limitText } = require("./src/verification");
+const { DEFAULT_CONFIG_FILE, loadConfig, findConfigMismatches } = require("./src/config");
+const { loadGuildEntries } = require("./src/guilds");
+const {
+  requiredPermission,
+  buildSlashCommand,
+  readSlashArgs,
+  parsePrefixArgs,
+  autocompleteChoices
+} = require("./src/commands");
+const { createAdminApi } = require("./src/api");
+const { FORMATS, parseExportFilters, filterRegistrations, renderExport } = require("./src/export");
+const { parseRoster } = require("./src/roster");
+const { createMagicLinkRouter } = require("./src/magicLink");
+const { createTemplateRenderer } = require("./src/templates");
+const { createMessageCatalog } = require("./src/messages");
+const { createMailTransport, createMailQueue } = require("./src/mail");
+const { createAuditLog } = require("./src/audit");
+const { createMetrics, createMetricsRouter } = require("./src/metrics");
+const { createScheduler } = require("./src/scheduler");
+const { categoriesHeld, checkAdd, checkSelection, describeLimits, ruleText } = require("./src/roleRules");
+const {
+  NICKNAME_MAX_LENGTH,
+  normalizeName,
+  checkName,
+  nameText,
+  usesRoles,
+  primaryRoleOf,
+  renderNickname,
+  nicknameBlocker
+} = require("./src/nicknames");
+const {
+  resolveChannelPolicy,
+  planChannelPolicy,
+  formatPlan,
+  applyChannelPlan,
+  channelLabel,
+  channelsOpenedTo,
+  describeChannelRule,
+  accessReason
+} = require("./src/channelPolicy");
 
 // Express server for health checks
 const app = express();
@@ -52,135 +101,453 @@ app.listen(PORT, () => {
 });
 
 const TOKEN = process.env.DISCORD_TOKEN;
-const GUILD_ID = process.env.GUILD_ID;
-const ROLE_CHANNEL_ID = process.env.ROLE_CHANNEL_ID;
+
+// Servers to onboard into: a guilds file, or the single GUILD_ID / ROLE_CHANNEL_ID
+// (and optional MOD_CHANNEL_ID for conflict reports) server from the environment
+const GUILDS_CONFIG = process.env.GUILDS_CONFIG;
+
+// Keep the old `!command` messages working (needs the Message Content intent)
+const LEGACY_PREFIX_COMMANDS = process.env.LEGACY_PREFIX_COMMANDS === "true";
+
+// Public base URL of this server, used for magic verification links (Render sets RENDER_EXTERNAL_URL).
+// Without it, emails carry the code only.
+const PUBLIC_URL = (process.env.PUBLIC_URL || process.env.RENDER_EXTERNAL_URL || "").replace(/\/+$/, "");
+
+// Bearer token for the /api/admin REST endpoints; the API is disabled when unset
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
+
+// Optional bearer token for /metrics; the endpoint is public when unset
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+// What to do when a verified email is already bound to another account: "block" or "flag"
+const DUPLICATE_EMAIL_POLICY = process.env.DUPLICATE_EMAIL_POLICY === "flag" ? "flag" : "block";
 
 // Email SMTP Configuration
 const SMTP_HOST = process.env.SMTP_HOST; // e.g., smtp.gmail.com
 const SMTP_PORT = process.env.SMTP_PORT || 587;
 const SMTP_USER = process.env.SMTP_USER; // your email
 const SMTP_PASS = process.env.SMTP_PASS; // your app password
-
-if (!TOKEN || !GUILD_ID || !ROLE_CHANNEL_ID) {
+const MAIL_FROM = process.env.MAIL_FROM || SMTP_USER; // sender address for every transport
+
+// Persistence: "sqlite" (default) or "json"
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "sqlite";
+const STORAGE_PATH = process.env.STORAGE_PATH; // optional, defaults to ./data/saavan.{db,json}
+
+// Verification abuse limits
+const VERIFICATION_SECRET = process.env.VERIFICATION_SECRET; // optional, generated and stored if unset
+const CODE_TTL_MS = 10 * 60 * 1000;
+const VERIFY_MAX_ATTEMPTS = Number(process.env.VERIFY_MAX_ATTEMPTS) || 5;
+const VERIFY_LOCKOUT_MINUTES = Number(process.env.VERIFY_LOCKOUT_MINUTES) || 30;
+const RESEND_COOLDOWN_SECONDS = Number(process.env.RESEND_COOLDOWN_SECONDS) || 60;
+const DAILY_EMAILS_PER_USER = Number(process.env.DAILY_EMAILS_PER_USER) || 5;
+const DAILY_EMAILS_PER_ADDRESS = Number(process.env.DAILY_EMAILS_PER_ADDRESS) || 5;
+
+if (!TOKEN) {
   console.error("Missing required environment variables");
   process.exit(1);
 }
 
-if (!SMTP_HOST || !SMTP_USER || !SMTP_PASS) {
-  console.error("Missing SMTP configuration for email verification");
-  process.exit(1);
-}
-
 const client = new Client({ 
   intents: [
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildMembers,
-    GatewayIntentBits.GuildMessages
+    GatewayIntentBits.GuildMessages,
+    ...(LEGACY_PREFIX_COMMANDS ? [GatewayIntentBits.MessageContent] : [])
   ] 
 });
 
-// ====== ROLE CONFIGURATION ======
-const BASE_ROLE = "Newcomer";
+// ====== USER DATA STORAGE ======
+// Persisted so redeploys don't wipe half-finished setups. The main storage holds
+// process-wide state (mail queue, scheduler, verification limits); each guild's
+// onboarding data lives in its own storage file (see GUILDS below).
+const storage = createStorage({ driver: STORAGE_DRIVER, file: STORAGE_PATH });
+const dmGuilds = storage.collection("dm_guilds"); // User ID -> guild their DM setup belongs to
+const languagePrefs = storage.collection("member_languages"); // User ID -> language picked at setup
+
+console.log(`Storage: ${storage.driver} (${storage.file})`);
+
+// ====== GUILDS ======
+// Every guild has its own roles, categories, email domains and channel names in a
+// config file (config/bot.yaml by default), reloadable with /reload-config.
+// Event handlers run inside guildScope for the guild they belong to, so the
+// module-level names below (config, memberRegistry, availableRoles, ...) always
+// mean the current guild's. Outside any guild event they refer to the primary guild.
+const guildScope = new AsyncLocalStorage();
+const guildContexts = new Map(); // Guild ID -> context
+
+// The file a guild's storage ends up in: with SQLite unavailable "a.db" becomes a.json
+function guildStorageFile(entry) {
+  return path.resolve(entry.storage === null ? storage.file : storageFile({ driver: STORAGE_DRIVER, file: entry.storage }));
+}
+
+function createGuildContext(entry, guildConfig) {
+  // A guild whose storage resolves to the main file uses the main store instead of opening it twice
+  const shared = guildStorageFile(entry) === path.resolve(storage.file);
+  const guildStorage = shared ? storage : createStorage({ driver: STORAGE_DRIVER, file: entry.storage });
+  return {
+    id: entry.id,
+    roleChannelId: entry.roleChannel,
+    modChannelId: entry.modChannel,
+    configFile: entry.config,
+    config: guildConfig,
+    storage: guildStorage,
+    pendingUsers: guildStorage.collection("pending_users"), // User data during onboarding
+    verificationCodes: guildStorage.collection("verification_codes"), // Email verification codes
+    memberRegistry: guildStorage.collection("members"), // Permanent record of verified members
+    registrationRoster: guildStorage.collection("roster"), // Imported email -> roster roles
+    onboardingReminders: guildStorage.collection("onboarding_reminders"), // Reminders sent to unfinished members
+    roleRequests: guildStorage.collection("role_requests"), // Requests for approval-required roles
+    availableRoles: new Set()
+  };
+}
 
-const PROTECTED_ROLES = [
-  "Admin", "Student Affairs Committee",
-  "Finance Head", "Technical Head", "Cultural Head", 
-  "Sports Head", "Student Relations Head", "Multimedia Head"
-];
+{
+  const entries = loadGuildEntries({
+    file: GUILDS_CONFIG,
+    env: process.env,
+    driver: STORAGE_DRIVER,
+    defaultConfigFile: DEFAULT_CONFIG_FILE
+  });
+  // Two stores on one file would overwrite each other (e.g. "a.db" and "a.sqlite"
+  // both falling back to a.json), so check before any guild store is opened
+  const files = new Map();
+  for (const entry of entries.guilds || []) {
+    const file = guildStorageFile(entry);
+    if (files.has(file)) {
+      entries.errors.push(`guilds ${files.get(file)} and ${entry.id} would both store data in ${file}; give them different storage paths`);
+    }
+    files.set(file, entry.id);
+  }
+  if (entries.errors.length > 0) {
+    console.error(`Invalid guild setup${GUILDS_CONFIG ? ` in ${GUILDS_CONFIG}` : ""}:`);
+    entries.errors.forEach(error => console.error(`  - ${error}`));
+    process.exit(1);
+  }
+  for (const entry of entries.guilds) {
+    const loaded = loadConfig(entry.config);
+    if (loaded.errors.length > 0) {
+      console.error(`Invalid configuration in ${loaded.file}:`);
+      loaded.errors.forEach(error => console.error(`  - ${error}`));
+      process.exit(1);
+    }
+    guildContexts.set(entry.id, createGuildContext(entry, loaded.config));
+    console.log(`Loaded configuration for guild ${entry.id} from ${loaded.file}`);
+  }
+}
 
-// Removed all Lead roles as requested
-const ROLE_CATEGORIES = {
-  "Development": [
-    "Backend Developer", "Frontend Developer", "UI/UX Designer", "DevOps Engineer"
-  ],
-  "Creative": [
-    "Graphics Designer", "Video Editor", "Content Creator", "Social Media Manager"
-  ],
-  "Business": [
-    "Finance Team", "Sponsor Team", "Marketing Team"
-  ],
-  "Operations": [
-    "Event Team", "Logistics Team", "PR Team", "Volunteers"
-  ],
-  "Departments": [
-    "Tech Team", "Sports Team", "Cultural Team"
-  ],
-  "Participation": [
-    "Participants Tech", "Participants Sports", "Participants Cultural",
-    "Campus Rep", "Registered"
-  ]
-};
+const primaryGuild = guildContexts.values().next().value;
+
+function guildContext() {
+  return guildScope.getStore() || primaryGuild;
+}
+
+function inGuildScope(context, fn) {
+  return guildScope.run(context, fn);
+}
+
+// Runs an event handler for a guild; events from servers that aren't configured are ignored
+function forGuild(guildId, fn) {
+  const context = guildContexts.get(guildId);
+  return context ? inGuildScope(context, fn) : undefined;
+}
+
+function currentGuild() {
+  return client.guilds.cache.get(guildContext().id);
+}
+
+// Forwards to the current guild's object, so handlers keep using `config.baseRole`
+// or `memberRegistry.get(id)` without passing the guild around
+function scoped(pick) {
+  return new Proxy({}, {
+    get(_, key) {
+      const target = pick(guildContext());
+      const value = target[key];
+      return typeof value === "function" ? value.bind(target) : value;
+    }
+  });
+}
+
+const config = scoped(context => context.config);
+const pendingUsers = scoped(context => context.pendingUsers);
+const verificationCodes = scoped(context => context.verificationCodes);
+const memberRegistry = scoped(context => context.memberRegistry);
+const registrationRoster = scoped(context => context.registrationRoster);
+const onboardingReminders = scoped(context => context.onboardingReminders);
+const roleRequests = scoped(context => context.roleRequests);
+const availableRoles = scoped(context => context.availableRoles);
+
+// Which guild a DM interaction belongs to: setup buttons, the language picker and the
+// "select category" buttons name it, later steps follow the guild the member last
+// started setup for
+function interactionGuildContext(interaction) {
+  if (interaction.guildId) return guildContexts.get(interaction.guildId) || null;
+  const named = interaction.customId?.match(/^(?:(?:setup|language)_\d+|proceed_to_roles)_(\d+)$/);
+  if (named && guildContexts.has(named[1])) return guildContexts.get(named[1]);
+  return guildContexts.get(dmGuilds.get(interaction.user.id)?.guildId) || primaryGuild;
+}
+
+function setupCustomId(userId) {
+  return `setup_${userId}_${guildContext().id}`;
+}
+
+function proceedCustomId() {
+  return `proceed_to_roles_${guildContext().id}`;
+}
+
+if (primaryGuild.config.mail.transport === "smtp" && (!SMTP_HOST || !SMTP_USER || !SMTP_PASS)) {
+  console.error("Missing SMTP configuration for email verification");
+  process.exit(1);
+}
 
-//... (previous client and role configuration)
+if (!MAIL_FROM) {
+  console.error("Missing MAIL_FROM (or SMTP_USER) sender address");
+  process.exit(1);
+}
 
 // ====== EMAIL CONFIGURATION ======
-const transporter = nodemailer.createTransport({
-  host: SMTP_HOST,
-  port: SMTP_PORT,
-  secure: false, // true for 465, false for other ports
-  auth: {
-    user: SMTP_USER,
-    pass: SMTP_PASS,
-  },
+const emailTemplates = createTemplateRenderer({
+  defaults: () => ({ brand: config.email.brand, organization: config.email.organization }),
+  defaultLanguage: () => config.email.defaultLanguage
 });
 
-// ====== USER DATA STORAGE ======
-const pendingUsers = new Map(); // Store user data during onboarding
-const verificationCodes = new Map(); // Store email verification codes
-let availableRoles = new Set();
+// ====== MEMBER LANGUAGE ======
+// Bot messages come from templates/messages/<language>.yaml, reloaded on /reload-config
+const messages = createMessageCatalog({ defaultLanguage: () => config.email.defaultLanguage });
+
+for (const context of guildContexts.values()) {
+  const missing = context.config.languages.filter(language => !messages.languages().includes(language));
+  if (missing.length > 0) {
+    console.log(`Warning: no message catalog for ${missing.join(", ")} (guild ${context.id}); using the default language`);
+  }
+}
+
+// The language a member picked at setup if this guild still offers it, else the default
+function memberLanguage(userId) {
+  const picked = languagePrefs.get(userId)?.language;
+  return picked && config.languages.includes(picked) ? picked : config.email.defaultLanguage;
+}
+
+// say("welcome.title", vars) in the member's language; say.rule, say.name and say.limit
+// translate the roleRules, nickname policy and verification limit messages
+function translator(userId) {
+  const language = memberLanguage(userId);
+  const say = (key, vars) => messages.t(language, key, vars);
+  say.language = language;
+  say.rule = (key, vars) => messages.t(language, `rules.${key}`, vars, ruleText(key, vars));
+  say.name = (key, vars) => messages.t(language, `names.${key}`, vars, nameText(key, vars));
+  say.limit = (key, vars) => messages.t(language, `verify.limit.${key}`, vars, limitText(key, vars));
+  return say;
+}
+
+// Transport is chosen by the primary guild's mail settings and rebuilt on /reload-config
+let mailTransport = createMailTransport(primaryGuild.config.mail, process.env);
+
+const verificationGuard = createVerificationGuard({
+  storage,
+  secret: VERIFICATION_SECRET,
+  maxAttempts: VERIFY_MAX_ATTEMPTS,
+  lockoutMs: VERIFY_LOCKOUT_MINUTES * 60 * 1000,
+  resendCooldownMs: RESEND_COOLDOWN_SECONDS * 1000,
+  dailyUserCap: DAILY_EMAILS_PER_USER,
+  dailyEmailCap: DAILY_EMAILS_PER_ADDRESS
+});
+
+// Merge fields into a member's registry record, keeping first-seen timestamps
+function updateRegistry(userId, fields) {
+  const now = new Date().toISOString();
+  return memberRegistry.update(userId, (record) => ({
+    discordId: userId,
+    createdAt: now,
+    ...record,
+    ...fields,
+    updatedAt: now
+  }));
+}
+
+// Config channels may be given by ID or by name
+function findTextChannel(guild, ref) {
+  if (!guild || !ref) return null;
+  return guild.channels.cache.get(ref) ||
+    guild.channels.cache.find(c => c.name === ref && c.isTextBased()) ||
+    null;
+}
+
+// ====== AUDIT LOG ======
+// Every onboarding and admin event goes to config.auditLog.file as JSON lines and,
+// when config.auditLog.channel is set, to the mod-log channel as an embed
+const auditLog = createAuditLog({
+  getOptions: () => config.auditLog,
+  postEmbed: async (embed, channelRef) => {
+    const channel = findTextChannel(currentGuild(), channelRef);
+    if (channel) await channel.send({ embeds: [embed] });
+  }
+});
+
+function audit(type, fields) {
+  return auditLog.record(type, { guildId: guildContext().id, ...fields });
+}
+
+// ====== METRICS ======
+// Prometheus counters for the onboarding funnel, scraped from GET /metrics
+const metrics = createMetrics({
+  countStages: () => {
+    const counts = { email: 0, code: 0, roles: 0 };
+    for (const context of guildContexts.values()) {
+      inGuildScope(context, () => {
+        for (const userId of pendingUsers.keys()) counts[getOnboardingStage(userId)]++;
+      });
+    }
+    return counts;
+  }
+});
+
+function countDiscordError(source) {
+  metrics.discordErrors.inc({ source });
+}
+
+// Every email goes through the persisted queue: retries with backoff, a global
+// send-rate limit and a dead-letter list for messages that never made it
+const mailQueue = createMailQueue({
+  storage,
+  getTransport: () => mailTransport,
+  getLimits: () => primaryGuild.config.mail,
+  onDeadLetter: (job) => inGuildScope(guildContexts.get(job.meta.guildId) || primaryGuild, () => {
+    metrics.emails.inc({ template: job.meta.template || "message", status: "dead_lettered" });
+    audit("email_dead_lettered", {
+      outcome: "failure",
+      to: job.message.to,
+      template: job.meta.template || null,
+      attempts: job.attempts,
+      error: job.lastError
+    });
+    postToModerators({
+      content: `📭 Email to ${job.message.to} (${job.meta.template || "message"}) failed after ${job.attempts} attempt(s): ${job.lastError}`
+    });
+  })
+});
+mailQueue.start();
 
 // ====== EMAIL FUNCTIONS ======
 function generateVerificationCode() {
-  return Math.floor(100000 + Math.random() * 900000).toString(); // 6-digit code
+  return verificationGuard.generateCode(); // 6-digit code from a CSPRNG
 }
 
-async function sendVerificationEmail(email, code, userName) {
-  const mailOptions = {
-    from: `"Saavan'25 Verification" <${SMTP_USER}>`,
-    to: email,
-    subject: "Saavan'25 — Email Verification Code",
-    html: `
-      <div style="font-family: -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif; max-width: 560px; margin: 0 auto; padding: 24px; color: #111827; background:#ffffff;">
-        <div style="background: linear-gradient(135deg,#0b5fff,#6c9dff); border-radius: 14px; padding: 20px; color: #fff; text-align:center;">
-          <div style="font-size: 20px; font-weight: 600;">Saavan'25</div>
-          <div style="opacity: 0.9; font-size: 13px; margin-top: 4px;">Email Verification</div>
-        </div>
-        <div style="background:#f9fafb; border:1px solid #e5e7eb; border-radius: 12px; padding: 20px; margin-top: 16px;">
-          <p style="margin:0 0 8px 0;">Hi ${userName},</p>
-          <p style="margin:0 0 16px 0;">Use the 6‑digit code below to verify your email for Saavan'25.</p>
-          <div style="text-align:center; margin: 18px 0;">
-            <div style="display:inline-block; letter-spacing: 6px; font-size: 34px; font-weight: 700; color:#0b5fff; background:#eef2ff; border:1px solid #e0e7ff; padding: 14px 18px; border-radius: 12px;">${code}</div>
-          </div>
-          <p style="margin:0; color:#374151;">This code expires in <strong>10 minutes</strong>. If you didn't request this, you can safely ignore this email.</p>
-        </div>
-        <div style="text-align:center; color:#6b7280; font-size:12px; margin-top: 14px;">© ${new Date().getFullYear()} IITM BS Fest</div>
-      </div>
-    `,
-  };
+// Rate-limited send of a fresh code; only the hash of the code is stored.
+// Returns { ok: true } or { ok: false, message } with a user-facing reason.
+async function issueVerificationCode(user, email, fullName) {
+  const allowed = verificationGuard.checkSendAllowed(user.id, email);
+  const say = translator(user.id);
+  if (!allowed.ok) {
+    console.log(`Verification email to ${email} for ${user.tag} blocked: ${allowed.reason}`);
+    audit("verification_email", { userId: user.id, outcome: "blocked", email, reason: allowed.reason });
+    return { ok: false, message: verificationGuard.describeLimit(allowed, say.limit) };
+  }
+
+  const code = generateVerificationCode();
+  const linkNonce = verificationGuard.generateNonce();
+  const expires = Date.now() + CODE_TTL_MS;
+  verificationCodes.set(user.id, {
+    codeHash: verificationGuard.hashCode(user.id, code),
+    linkNonce,
+    email,
+    fullName,
+    attempts: 0,
+    expires
+  });
+
+  // Magic link as an alternative to typing the code; the code stays the fallback
+  const link = PUBLIC_URL
+    ? `${PUBLIC_URL}/verify/${verificationGuard.createLinkToken(user.id, linkNonce, expires)}`
+    : null;
+
+  const status = await sendVerificationEmail(email, code, fullName, link, say.language);
+  audit("verification_email", {
+    userId: user.id,
+    outcome: status === "failed" ? "failure" : "success",
+    email,
+    delivery: status
+  });
+  if (status === "failed") {
+    return { ok: false, message: say("verify.sendFailed") };
+  }
+
+  verificationGuard.recordSend(user.id, email);
+  return { ok: true, queued: status === "queued" };
+}
+
+async function sendVerificationEmail(email, code, userName, link = null, language = null) {
+  return sendTemplatedEmail(email, "verification", {
+    name: userName,
+    code,
+    expiryMinutes: Math.round(CODE_TTL_MS / 60000),
+    link
+  }, { language, fromName: `${config.email.brand} Verification`, expiresAt: Date.now() + CODE_TTL_MS });
+}
 
+// Renders templates/email/<template> (HTML + plain-text parts) and queues it.
+// Resolves "sent", "queued" (delivery delayed, will retry) or "failed".
+async function sendTemplatedEmail(to, template, vars, { language = null, fromName = config.email.brand, expiresAt = null } = {}) {
+  let message;
   try {
-    await transporter.sendMail(mailOptions);
-    console.log(`Verification email sent to ${email}`);
-    return true;
+    message = emailTemplates.render(template, vars, language);
   } catch (error) {
-    console.error("Error sending email:", error);
-    return false;
+    console.error(`Error rendering email template "${template}":`, error);
+    metrics.emails.inc({ template, status: "failed" });
+    return "failed";
   }
+
+  const mailOptions = {
+    from: `"${fromName}" <${MAIL_FROM}>`,
+    to,
+    subject: message.subject,
+    text: message.text,
+    html: message.html
+  };
+
+  const meta = { template, language: message.language, guildId: guildContext().id, ...(expiresAt ? { expiresAt } : {}) };
+  const status = await mailQueue.send(mailOptions, { meta });
+  console.log(`${template} email (${message.language}) to ${to}: ${status}`);
+  metrics.emails.inc({ template, status });
+  return status;
 }
 
+// Sample values for /email-preview
+const EMAIL_PREVIEW_VARS = {
+  name: "Test User",
+  code: "123456",
+  expiryMinutes: 10,
+  link: "https://example.com/verify/preview-token",
+  serverName: "Saavan'25",
+  roles: "Backend Developer, Volunteers",
+  setupUrl: "https://discord.com/channels/@me",
+  role: "Finance Team",
+  approver: "Finance Head"
+};
+
 // ====== BOT READY ======
 client.once("ready", async () => {
   console.log(`Bot online: ${client.user.tag}`);
   
-  const guild = await client.guilds.fetch(GUILD_ID);
-  console.log(`Connected to: ${guild.name}`);
-  
-  await checkExistingRoles(guild);
-  await ensureBaseRole(guild);
-  await ensureWelcomeChannel(guild);
-  await updateChannelPermissions(guild);
+  for (const context of guildContexts.values()) {
+    await inGuildScope(context, async () => {
+      const guild = await client.guilds.fetch(context.id).catch(() => null);
+      if (!guild) {
+        console.error(`Guild ${context.id} not found - is the bot a member?`);
+        return;
+      }
+      console.log(`Connected to: ${guild.name}`);
+      
+      await checkExistingRoles(guild);
+      await ensureBaseRole(guild);
+      await ensureVerifiedRole(guild);
+      await ensureWelcomeChannel(guild);
+      await updateChannelPermissions(guild);
+      await registerSlashCommands(guild);
+    });
+  }
+  scheduler.start();
   
-  console.log("Role collection ready - Security: Newcomers blocked from all channels");
+  console.log("Role collection ready - channel access policy applied");
 });
 
 // ====== CHECK EXISTING ROLES ======
@@ -189,111 +556,169 @@ async function checkExistingRoles(guild) {
   const guildRoles = guild.roles.cache;
   
   // Check which roles actually exist
-  Object.values(ROLE_CATEGORIES).flat().forEach(roleName => {
+  Object.values(config.roleCategories).flat().forEach(roleName => {
     if (guildRoles.find(r => r.name === roleName)) {
       availableRoles.add(roleName);
     }
   });
   
   // Check if base role exists
-  if (!guildRoles.find(r => r.name === BASE_ROLE)) {
-    console.log(`Warning: Base role "${BASE_ROLE}" not found`);
+  if (!guildRoles.find(r => r.name === config.baseRole)) {
+    console.log(`Warning: Base role "${config.baseRole}" not found`);
   }
   
   console.log(`Found ${availableRoles.size} available roles`);
 }
 
+// Roles a member can toggle themselves in a category (roster roles are granted, not chosen)
+function selfServiceRoles(category) {
+  return (config.roleCategories[category] || [])
+    .filter(role => availableRoles.has(role) && !config.rosterRoles.includes(role));
+}
+
 // ====== UTILITY FUNCTIONS ======
 async function ensureBaseRole(guild) {
-  let baseRole = guild.roles.cache.find(r => r.name === BASE_ROLE);
+  let baseRole = guild.roles.cache.find(r => r.name === config.baseRole);
   
   if (!baseRole) {
     baseRole = await guild.roles.create({
-      name: BASE_ROLE,
+      name: config.baseRole,
       color: 0x99AAB5,
       permissions: [],
       reason: "Base role for new members"
     });
-    console.log(`Created base role: ${BASE_ROLE}`);
+    console.log(`Created base role: ${config.baseRole}`);
   }
   
-  // CRITICAL: Newcomers can ONLY see welcome/setup channels, NOTHING ELSE
-  guild.channels.cache.forEach(async channel => {
-    if (channel.type === 0) { // Text channels only
-      try {
-        // Block ALL channels by default
-        await channel.permissionOverwrites.edit(baseRole, {
-          ViewChannel: false,
-          SendMessages: false,
-          ReadMessageHistory: false
-        });
-      } catch (error) {
-        // Ignore permission errors for individual channels
-      }
-    }
-  });
-  
-  // Only allow access to role-selection channel if it exists
-  const roleChannel = guild.channels.cache.get(ROLE_CHANNEL_ID);
-  if (roleChannel) {
-    try {
-      await roleChannel.permissionOverwrites.edit(baseRole, {
-        ViewChannel: true,
-        SendMessages: false, // Still can't message there
-        ReadMessageHistory: true
-      });
-    } catch (error) {
-      console.error("Error setting role channel permissions:", error);
-    }
-  }
-  
-  console.log(`${BASE_ROLE} role configured - CANNOT VIEW ANY CHANNELS until setup complete`);
   return baseRole;
 }
 
-async function updateChannelPermissions(guild) {
-  // Update permissions for all existing channels when bot starts
-  const baseRole = guild.roles.cache.find(r => r.name === BASE_ROLE);
-  if (!baseRole) return;
+async function ensureVerifiedRole(guild) {
+  let verifiedRole = guild.roles.cache.find(r => r.name === config.verifiedRole);
   
-  console.log("Updating channel permissions - blocking all channels for Newcomers...");
+  if (!verifiedRole) {
+    verifiedRole = await guild.roles.create({
+      name: config.verifiedRole,
+      color: 0x57F287,
+      permissions: [],
+      reason: "Granted to members with a verified student email"
+    });
+    console.log(`Created verified role: ${config.verifiedRole}`);
+  }
   
-  guild.channels.cache.forEach(async channel => {
-    if (channel.type === 0) { // Text channels only
-      try {
-        // BLOCK ALL CHANNELS - cannot view anything
-        await channel.permissionOverwrites.edit(baseRole, {
-          ViewChannel: false,
-          SendMessages: false,
-          ReadMessageHistory: false
-        });
-      } catch (error) {
-        // Ignore permission errors
-      }
-    }
+  return verifiedRole;
+}
+
+// Roles that come with a verified email: Verified, the domain's program role
+// and any roster roles imported for that address
+// Verified, the program role for the email's domain and its roster roles
+function verificationRoleNames(studentEmail) {
+  const domain = studentEmail.split("@")[1]?.toLowerCase();
+  return [config.verifiedRole, config.programRoles[domain], ...getRosterRoles(studentEmail)].filter(Boolean);
+}
+
+function getVerificationRoles(guild, studentEmail) {
+  return verificationRoleNames(studentEmail)
+    .map(name => guild.roles.cache.find(r => r.name === name))
+    .filter(Boolean);
+}
+
+// ====== CHANNEL ACCESS POLICY ======
+function currentChannelPolicy(guild) {
+  return resolveChannelPolicy(guild, {
+    baseRole: config.baseRole,
+    welcomeChannel: config.welcomeChannel,
+    roleChannelId: guildContext().roleChannelId,
+    newcomerChannels: config.channelAccess.newcomerChannels,
+    restricted: config.channelAccess.restricted,
+    unlocks: config.channelAccess.unlocks
   });
-  
-  // Only allow role-selection channel
-  const roleChannel = guild.channels.cache.get(ROLE_CHANNEL_ID);
-  if (roleChannel) {
-    try {
-      await roleChannel.permissionOverwrites.edit(baseRole, {
-        ViewChannel: true,
-        SendMessages: false,
-        ReadMessageHistory: true
-      });
-      console.log("Role-selection channel accessible to Newcomers");
-    } catch (error) {
-      console.error("Error setting role channel permissions:", error);
+}
+
+// Brings every channel's overwrites in line with channelAccess. With dryRun only
+// the diff is returned. Returns { plan, diff, problems, applied?, failures? }.
+async function updateChannelPermissions(guild, { dryRun = false } = {}) {
+  const policy = currentChannelPolicy(guild);
+  const plan = planChannelPolicy(policy);
+  const diff = formatPlan(plan);
+  const edits = plan.reduce((sum, entry) => sum + entry.changes.length, 0);
+  const summary = { channels: plan.length, edits, diff, problems: policy.problems };
+  if (dryRun || plan.length === 0) return summary;
+
+  console.log(`Applying channel policy: ${edits} overwrite edit(s) across ${plan.length} channel(s)...`);
+  const { applied, failures } = await applyChannelPlan(plan, { delayMs: config.channelAccess.applyDelayMs });
+  for (const failure of failures) {
+    console.error(`Channel policy: ${failure.channel} (${failure.target}) failed: ${failure.error}`);
+  }
+  console.log(`Channel policy applied: ${applied}/${edits} edit(s), ${failures.length} failure(s)`);
+  audit("channel_policy_applied", {
+    outcome: failures.length > 0 ? "failure" : "success",
+    channels: plan.length,
+    applied,
+    failed: failures.length
+  });
+  return { ...summary, applied, failures };
+}
+
+// Re-checks one channel after it is created or edited, so new channels never
+// start visible to newcomers and manual overwrite edits are reverted
+async function enforceChannelPolicy(channel) {
+  if (!config.channelAccess.enforce || !client.isReady()) return;
+  const plan = planChannelPolicy(currentChannelPolicy(channel.guild), [channel]);
+  if (plan.length === 0) return;
+
+  const { applied, failures } = await applyChannelPlan(plan, { delayMs: 0, reason: "Channel access policy (enforced)" });
+  for (const failure of failures) {
+    console.error(`Channel policy: ${failure.channel} (${failure.target}) failed: ${failure.error}`);
+  }
+  console.log(`Enforced channel policy on ${channelLabel(channel)}: ${applied} edit(s)`);
+  audit("channel_policy_enforced", {
+    outcome: failures.length > 0 ? "failure" : "success",
+    channel: channel.id,
+    channelName: channel.name,
+    applied,
+    failed: failures.length
+  });
+}
+
+// Makes sure the overwrites that open a role's channels are in place and returns
+// those channels. Called whenever the bot grants or removes the role.
+async function syncRoleChannels(guild, role) {
+  const policy = currentChannelPolicy(guild);
+  const channels = channelsOpenedTo(policy, role);
+  const plan = planChannelPolicy(policy, channels);
+  if (plan.length > 0) {
+    const { failures } = await applyChannelPlan(plan, { delayMs: 0, reason: `Channels unlocked by ${role.name}` });
+    for (const failure of failures) {
+      console.error(`Channel policy: ${failure.channel} (${failure.target}) failed: ${failure.error}`);
     }
   }
-  
-  console.log("Channel permissions updated - Newcomers blocked from all channels except role-selection");
+  return channels;
+}
+
+// Member-facing note about the channels a role change opened or closed
+function describeChannelChange(channels, member, added) {
+  const affected = channels
+    .filter(channel => channel.type !== 4)
+    .filter(channel => Boolean(channel.permissionsFor(member)?.has(PermissionsBitField.Flags.ViewChannel)) === added);
+  if (affected.length === 0) return null;
+  const say = translator(member.id);
+  const list = affected.slice(0, 10).map(channel => `<#${channel.id}>`).join(", ");
+  const more = affected.length > 10 ? say("roles.more", { count: affected.length - 10 }) : "";
+  return say(added ? "roles.unlocked" : "roles.hidden", { channels: list + more });
 }
 
+client.on("channelCreate", (channel) => forGuild(channel.guild?.id, () => {
+  enforceChannelPolicy(channel).catch(error => console.error("Error enforcing channel policy:", error));
+}));
+
+client.on("channelUpdate", (oldChannel, newChannel) => forGuild(newChannel.guild?.id, () => {
+  enforceChannelPolicy(newChannel).catch(error => console.error("Error enforcing channel policy:", error));
+}));
+
 // Create a dedicated welcome channel that newcomers can see
 async function ensureWelcomeChannel(guild) {
-  const welcomeChannelName = "welcome-setup";
+  const welcomeChannelName = config.welcomeChannel;
   let welcomeChannel = guild.channels.cache.find(c => c.name === welcomeChannelName);
   
   if (!welcomeChannel) {
@@ -311,42 +736,28 @@ async function ensureWelcomeChannel(guild) {
     }
   }
   
-  // Allow newcomers to see this channel
-  const baseRole = guild.roles.cache.find(r => r.name === BASE_ROLE);
-  if (baseRole) {
-    try {
-      await welcomeChannel.permissionOverwrites.edit(baseRole, {
-        ViewChannel: true,
-        SendMessages: false,
-        ReadMessageHistory: true
-      });
-      
-      // Also ensure @everyone can see it (for completed users)
-      await welcomeChannel.permissionOverwrites.edit(guild.roles.everyone, {
-        ViewChannel: true,
-        SendMessages: false, // Read-only for everyone
-        ReadMessageHistory: true
-      });
-      
-      console.log("Welcome channel permissions set");
-    } catch (error) {
-      console.error("Error setting welcome channel permissions:", error);
-    }
+  // Newcomers and @everyone get read-only access through the channel policy
+  const plan = planChannelPolicy(currentChannelPolicy(guild), [welcomeChannel]);
+  const { failures } = await applyChannelPlan(plan, { delayMs: 0 });
+  if (failures.length > 0) {
+    console.error("Error setting welcome channel permissions:", failures.map(f => f.error).join("; "));
   }
   
   return welcomeChannel;
 }
 
 // ====== MEMBER JOIN EVENT ======
-client.on("guildMemberAdd", async (member) => {
+client.on("guildMemberAdd", (member) => forGuild(member.guild.id, async () => {
   try {
     console.log(`New member: ${member.user.tag}`);
+    audit("member_joined", { userId: member.id, outcome: "info", tag: member.user.tag });
+    metrics.membersJoined.inc();
     
     // Check roles first
     await checkExistingRoles(member.guild);
     
     // Assign base role if exists
-    const baseRole = member.guild.roles.cache.find(r => r.name === BASE_ROLE);
+    const baseRole = member.guild.roles.cache.find(r => r.name === config.baseRole);
     if (baseRole) {
       await member.roles.add(baseRole);
     }
@@ -356,62 +767,68 @@ client.on("guildMemberAdd", async (member) => {
     
   } catch (error) {
     console.error("Error handling new member:", error);
+    countDiscordError("member_join");
   }
-});
+}));
 
 // ====== WELCOME FUNCTIONS ======
-async function sendWelcomeDM(member) {
-  try {
-    const embed = new EmbedBuilder()
-      .setTitle("Welcome to Saavan 2025")
-      .setDescription(
-        `Welcome ${member.user.username}!\n\n` +
-        `Please complete your profile setup by clicking the button below.\n\n` +
-        `This will collect your details and help you select appropriate roles for the event.`
-      )
-      .setColor(0x5865F2);
+// Welcome DM ("welcome") or channel fallback ("prompt") with the Start Setup button
+// and, when the guild offers several languages, the language picker
+function buildSetupPrompt(user, kind = "welcome") {
+  const say = translator(user.id);
+  const embed = new EmbedBuilder()
+    .setTitle(say(`${kind}.title`))
+    .setDescription(say(`${kind}.body`, { name: user.username, member: `${user}` }))
+    .setColor(0x5865F2);
 
-    const button = new ActionRowBuilder()
+  const components = [
+    new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId(`setup_${member.id}`)
-          .setLabel("Start Setup")
+          .setCustomId(setupCustomId(user.id))
+          .setLabel(say("welcome.start"))
           .setStyle(ButtonStyle.Primary)
-      );
+      )
+  ];
+  if (config.languages.length > 1) {
+    components.push(new ActionRowBuilder()
+      .addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(`language_${user.id}_${guildContext().id}`)
+          .setPlaceholder(say("language.picker"))
+          .addOptions(config.languages.map(language => ({
+            label: messages.languageName(language),
+            value: language,
+            default: language === say.language
+          })))
+      ));
+  }
+  return { embeds: [embed], components };
+}
 
-    await member.send({ embeds: [embed], components: [button] });
+async function sendWelcomeDM(member) {
+  try {
+    await member.send(buildSetupPrompt(member.user));
     console.log(`Welcome DM with setup button sent to ${member.user.tag}`);
+    audit("welcome_dm", { userId: member.id, outcome: "success" });
+    metrics.welcomeDms.inc({ outcome: "sent" });
   } catch (error) {
     console.log(`Could not DM ${member.user.tag}, sending in channel instead`);
+    audit("welcome_dm", { userId: member.id, outcome: "failure", fallback: "channel prompt" });
+    metrics.welcomeDms.inc({ outcome: "failed" });
     await sendRoleSelectionPrompt(member);
   }
 }
 
 async function sendRoleSelectionPrompt(member) {
   // Fallback function - only used when DM fails
-  const channel = member.guild.channels.cache.get(ROLE_CHANNEL_ID);
+  const channel = member.guild.channels.cache.get(guildContext().roleChannelId);
   if (!channel) {
     // Try welcome channel if role channel doesn't exist
-    const welcomeChannel = member.guild.channels.cache.find(c => c.name === "welcome-setup");
+    const welcomeChannel = member.guild.channels.cache.find(c => c.name === config.welcomeChannel);
     if (!welcomeChannel) return;
     
-    const embed = new EmbedBuilder()
-      .setTitle("Complete Profile Setup")
-      .setDescription(`${member} please check your DMs to complete setup. If you didn't receive a DM, click the button below.`)
-      .setColor(0x5865F2);
-
-    const button = new ActionRowBuilder()
-      .addComponents(
-        new ButtonBuilder()
-          .setCustomId(`setup_${member.id}`)
-          .setLabel("Start Setup")
-          .setStyle(ButtonStyle.Primary)
-      );
-
-    const message = await welcomeChannel.send({ 
-      embeds: [embed], 
-      components: [button] 
-    });
+    const message = await welcomeChannel.send(buildSetupPrompt(member.user, "prompt"));
 
     // Auto-delete after 5 minutes
     setTimeout(() => {
@@ -420,23 +837,7 @@ async function sendRoleSelectionPrompt(member) {
     return;
   }
 
-  const embed = new EmbedBuilder()
-    .setTitle("Complete Profile Setup")
-    .setDescription(`${member} please check your DMs to complete setup. If you didn't receive a DM, click the button below.`)
-    .setColor(0x5865F2);
-
-  const button = new ActionRowBuilder()
-    .addComponents(
-      new ButtonBuilder()
-        .setCustomId(`setup_${member.id}`)
-        .setLabel("Start Setup")
-        .setStyle(ButtonStyle.Primary)
-    );
-
-  const message = await channel.send({ 
-    embeds: [embed], 
-    components: [button] 
-  });
+  const message = await channel.send(buildSetupPrompt(member.user, "prompt"));
 
   // Auto-delete after 5 minutes
   setTimeout(() => {
@@ -445,22 +846,51 @@ async function sendRoleSelectionPrompt(member) {
 }
 
 // ====== INTERACTION HANDLERS ======
+// Label for the interaction latency histogram
+function interactionType(interaction) {
+  if (interaction.isChatInputCommand()) return "command";
+  if (interaction.isAutocomplete()) return "autocomplete";
+  if (interaction.isButton()) return "button";
+  if (interaction.isModalSubmit()) return "modal";
+  if (interaction.isStringSelectMenu()) return "select";
+  return "other";
+}
+
 client.on("interactionCreate", async (interaction) => {
+  const context = interactionGuildContext(interaction);
+  if (!context) {
+    if (interaction.isRepliable()) {
+      await interaction.reply({ content: translator(interaction.user.id)("errors.notSetUp"), ephemeral: true }).catch(() => {});
+    }
+    return;
+  }
+  await inGuildScope(context, () => handleInteraction(interaction));
+});
+
+async function handleInteraction(interaction) {
+  const endTimer = metrics.interactionDuration.startTimer({ type: interactionType(interaction) });
   try {
-    if (interaction.isButton()) {
+    if (interaction.isChatInputCommand()) {
+      await handleSlashCommand(interaction);
+    } else if (interaction.isAutocomplete()) {
+      await handleSlashAutocomplete(interaction);
+    } else if (interaction.isButton()) {
       await handleButtonInteraction(interaction);
     } else if (interaction.isModalSubmit()) {
       await handleModalSubmit(interaction);
     } else if (interaction.isStringSelectMenu()) {
       await handleSelectMenu(interaction);
     }
+    endTimer({ outcome: "ok" });
   } catch (error) {
+    endTimer({ outcome: "error" });
     console.error("Interaction error:", error);
+    countDiscordError("interaction");
     if (!interaction.replied && !interaction.deferred) {
-      await interaction.reply({ content: "An error occurred.", ephemeral: true });
+      await interaction.reply({ content: translator(interaction.user.id)("errors.generic"), ephemeral: true }).catch(() => {});
     }
   }
-});
+}
 
 async function handleButtonInteraction(interaction) {
   const { customId } = interaction;
@@ -469,17 +899,21 @@ async function handleButtonInteraction(interaction) {
     const userId = customId.split("_")[1];
     if (interaction.user.id !== userId) {
       await interaction.reply({ 
-        content: "This setup is not for you.", 
+        content: translator(interaction.user.id)("welcome.notYours"), 
         ephemeral: true
       });
       return;
     }
+    // Later DM steps (modals, code entry, role picker) follow this guild
+    dmGuilds.set(userId, { guildId: guildContext().id, at: new Date().toISOString() });
     await showInfoModal(interaction);
-  } else if (customId === "proceed_to_roles") {
+  } else if (customId === "proceed_to_roles" || customId.startsWith("proceed_to_roles_")) {
     // For button interactions, deferUpdate before long updates
     if (!interaction.deferred && !interaction.replied) {
       try { await interaction.deferUpdate(); } catch (_) {}
     }
+    // The role picker's buttons carry no guild, so they follow this one
+    if (!interaction.guildId) dmGuilds.set(userId, { guildId: guildContext().id, at: new Date().toISOString() });
     await showCategorySelection(interaction);
   } else if (customId === "back_to_categories") {
     if (!interaction.deferred && !interaction.replied) {
@@ -499,6 +933,26 @@ async function handleButtonInteraction(interaction) {
       try { await interaction.deferUpdate(); } catch (_) {}
     }
     await toggleRole(interaction);
+  } else if (customId.startsWith("rolepage_")) {
+    if (!interaction.deferred && !interaction.replied) {
+      try { await interaction.deferUpdate(); } catch (_) {}
+    }
+    await showRolePage(interaction);
+  } else if (customId.startsWith("roleinfo_")) {
+    await showRoleInfo(interaction);
+  } else if (customId.startsWith("transferbind_")) {
+    await handleTransferButton(interaction);
+  } else if (customId.startsWith("rolereq_")) {
+    await handleRoleRequestButton(interaction);
+  } else if (customId === "profile_name") {
+    await showNicknameModal(interaction);
+  } else if (customId === "profile_email") {
+    await showEmailChangeModal(interaction);
+  } else if (customId === "profile_roles") {
+    if (!interaction.deferred && !interaction.replied) {
+      try { await interaction.deferUpdate(); } catch (_) {}
+    }
+    await showCategorySelection(interaction);
   } else if (customId === "complete_setup") {
     if (!interaction.deferred && !interaction.replied) {
       try { await interaction.deferUpdate(); } catch (_) {}
@@ -508,20 +962,21 @@ async function handleButtonInteraction(interaction) {
 }
 
 async function showInfoModal(interaction) {
+  const say = translator(interaction.user.id);
   const modal = new ModalBuilder()
     .setCustomId(`info_${interaction.user.id}`)
-    .setTitle("Profile Information");
+    .setTitle(say("info.title").slice(0, 45));
 
   const nameInput = new TextInputBuilder()
     .setCustomId("full_name")
-    .setLabel("Full Name")
+    .setLabel(say("info.name"))
     .setStyle(TextInputStyle.Short)
     .setRequired(true)
-    .setMaxLength(50);
+    .setMaxLength(NICKNAME_MAX_LENGTH);
 
   const emailInput = new TextInputBuilder()
     .setCustomId("student_email")
-    .setLabel("Student Email ID")
+    .setLabel(say("info.email"))
     .setStyle(TextInputStyle.Short)
     .setRequired(true)
     .setMaxLength(100)
@@ -535,13 +990,14 @@ async function showInfoModal(interaction) {
 }
 
 async function showVerificationModal(interaction) {
+  const say = translator(interaction.user.id);
   const modal = new ModalBuilder()
     .setCustomId(`verify_${interaction.user.id}`)
-    .setTitle("Enter Verification Code");
+    .setTitle(say("verify.title").slice(0, 45));
 
   const codeInput = new TextInputBuilder()
     .setCustomId("verification_code")
-    .setLabel("6-digit Code")
+    .setLabel(say("verify.codeLabel"))
     .setStyle(TextInputStyle.Short)
     .setRequired(true)
     .setMaxLength(6)
@@ -555,27 +1011,26 @@ async function showVerificationModal(interaction) {
 }
 
 async function resendVerificationCode(interaction) {
-  const session = pendingUsers.get(interaction.user.id);
+  const say = translator(interaction.user.id);
+  // Email changes from /profile have no pending entry, only the code session
+  const code = verificationCodes.get(interaction.user.id);
+  const session = pendingUsers.get(interaction.user.id) ||
+    (code ? { fullName: code.fullName, studentEmail: code.email } : null);
   if (!session) {
     // If we deferred, use editReply; otherwise ephemeral reply
     if (interaction.deferred || interaction.replied) {
-      await interaction.editReply({ content: "No active verification session. Please restart setup." });
+      await interaction.editReply({ content: say("verify.noSession") });
     } else {
-      await interaction.reply({ content: "No active verification session. Please restart setup.", ephemeral: true });
+      await interaction.reply({ content: say("verify.noSession"), ephemeral: true });
     }
     return;
   }
-  const code = generateVerificationCode();
-  verificationCodes.set(interaction.user.id, {
-    code,
-    email: session.studentEmail,
-    fullName: session.fullName,
-    expires: Date.now() + 10 * 60 * 1000
-  });
-  const emailSent = await sendVerificationEmail(session.studentEmail, code, session.fullName);
-  const content = emailSent
-    ? `Sent a new code to ${session.studentEmail}. Check your inbox/spam.`
-    : "Failed to send code. Try again later.";
+  const result = await issueVerificationCode(interaction.user, session.studentEmail, session.fullName);
+  const content = !result.ok
+    ? result.message
+    : result.queued
+      ? say("verify.resentQueued", { email: session.studentEmail })
+      : say("verify.resent", { email: session.studentEmail });
   if (interaction.deferred || interaction.replied) {
     await interaction.editReply({ content });
   } else {
@@ -584,60 +1039,62 @@ async function resendVerificationCode(interaction) {
 }
 
 async function handleModalSubmit(interaction) {
+  const say = translator(interaction.user.id);
   if (interaction.customId.startsWith("info_")) {
     // Defer immediately to avoid 3s timeout while we send the email
     if (!interaction.deferred && !interaction.replied) {
       try { await interaction.deferReply({ ephemeral: true }); } catch (_) {}
     }
-    const fullName = interaction.fields.getTextInputValue("full_name");
+    const { name: fullName, problem } = cleanName(interaction.fields.getTextInputValue("full_name"), say.name);
     const studentEmail = interaction.fields.getTextInputValue("student_email");
+    if (problem) {
+      await interaction.editReply({ content: problem });
+      return;
+    }
 
-    // Quick domain check: allow only IITM BS study emails
-    if (!studentEmail.toLowerCase().endsWith("@ds.study.iitm.ac.in") && !studentEmail.toLowerCase().endsWith("@es.study.iitm.ac.in")) {
+    // Quick domain check: allow only the configured student email domains
+    const emailDomain = studentEmail.toLowerCase().split("@")[1];
+    if (!config.emailDomains.includes(emailDomain)) {
+      audit("email_submitted", { userId: interaction.user.id, outcome: "blocked", email: studentEmail, reason: "domain" });
       await interaction.editReply({
-        content: "Please use your IITM BS student email (@ds.study.iitm.ac.in or @es.study.iitm.ac.in)"
+        content: say("info.wrongDomain", { domains: config.emailDomains.map(d => `@${d}`).join(` ${say("info.or")} `) })
       });
       return;
     }
     
     // Store user data
-    pendingUsers.set(interaction.user.id, { fullName, studentEmail });
-    
-    // Generate and send verification code
-    const code = generateVerificationCode();
-    verificationCodes.set(interaction.user.id, {
-      code,
-      email: studentEmail,
+    pendingUsers.set(interaction.user.id, {
       fullName,
-      expires: Date.now() + 10 * 60 * 1000
+      studentEmail,
+      startedAt: new Date().toISOString()
     });
     
-    const emailSent = await sendVerificationEmail(studentEmail, code, fullName);
-    if (!emailSent) {
-      await interaction.editReply({
-        content: "Failed to send verification email. Please try again later or contact an admin."
-      });
+    // Generate and send verification code
+    const result = await issueVerificationCode(interaction.user, studentEmail, fullName);
+    if (!result.ok) {
+      await interaction.editReply({ content: result.message });
       return;
     }
     
+    const minutes = Math.round(CODE_TTL_MS / 60000);
     const embed = new EmbedBuilder()
-      .setTitle("Verification Email Sent")
+      .setTitle(say("verify.sentTitle"))
       .setDescription(
-        `Sent a 6-digit code to ${studentEmail}. Check your inbox/spam.\n` +
-        `Click the button below to enter the code. Expires in 10 minutes.`
+        say("verify.sent", { email: studentEmail }) + "\n" +
+        say(PUBLIC_URL ? "verify.sentWithLink" : "verify.sentCodeOnly", { minutes })
       )
       .setColor(0x5865F2)
-      .setFooter({ text: "This is quick—usually arrives in a few seconds." });
+      .setFooter({ text: say(result.queued ? "verify.queuedFooter" : "verify.quickFooter") });
     
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
           .setCustomId("verify_email")
-          .setLabel("Verify Email")
+          .setLabel(say("verify.verifyButton"))
           .setStyle(ButtonStyle.Primary),
         new ButtonBuilder()
           .setCustomId("resend_code")
-          .setLabel("Resend Code")
+          .setLabel(say("verify.resendButton"))
           .setStyle(ButtonStyle.Secondary)
       );
     
@@ -648,81 +1105,493 @@ async function handleModalSubmit(interaction) {
       try { await interaction.deferReply({ ephemeral: true }); } catch (_) {}
     }
     const enteredCode = interaction.fields.getTextInputValue("verification_code").trim();
+    
+    const lockout = verificationGuard.getLockout(interaction.user.id);
+    if (lockout) {
+      audit("code_rejected", { userId: interaction.user.id, outcome: "blocked", reason: "locked" });
+      metrics.codes.inc({ outcome: "locked", method: "code" });
+      await interaction.editReply({
+        content: verificationGuard.describeLimit({ reason: "locked", retryAfterMs: lockout.until - Date.now() }, say.limit)
+      });
+      return;
+    }
+    
     const session = verificationCodes.get(interaction.user.id);
     
     if (!session) {
-      await interaction.editReply({ content: "No active verification session. Please restart setup." });
+      audit("code_rejected", { userId: interaction.user.id, outcome: "failure", reason: "no session" });
+      await interaction.editReply({ content: say("verify.noSession") });
       return;
     }
     
     if (Date.now() > session.expires) {
       verificationCodes.delete(interaction.user.id);
-      await interaction.editReply({ content: "Your verification code has expired. Click Resend Code and try again." });
+      audit("code_rejected", { userId: interaction.user.id, outcome: "failure", reason: "expired", email: session.email });
+      metrics.codes.inc({ outcome: "expired", method: "code" });
+      await interaction.editReply({ content: say("verify.expired") });
+      return;
+    }
+    
+    if (!verificationGuard.codeMatches(interaction.user.id, enteredCode, session.codeHash)) {
+      const attempt = verificationGuard.recordFailedAttempt(interaction.user.id, session);
+      if (attempt.locked) {
+        verificationCodes.delete(interaction.user.id);
+        console.log(`Verification locked for ${interaction.user.tag} after ${attempt.locked.attempts} failed codes`);
+        audit("verification_locked", {
+          userId: interaction.user.id,
+          outcome: "blocked",
+          email: session.email,
+          attempts: attempt.locked.attempts
+        });
+        metrics.codes.inc({ outcome: "locked", method: "code" });
+        await interaction.editReply({
+          content: verificationGuard.describeLimit({ reason: "locked", retryAfterMs: attempt.locked.until - Date.now() }, say.limit)
+        });
+        return;
+      }
+      verificationCodes.set(interaction.user.id, attempt.session);
+      audit("code_rejected", {
+        userId: interaction.user.id,
+        outcome: "failure",
+        reason: "wrong code",
+        email: session.email,
+        attemptsLeft: attempt.attemptsLeft
+      });
+      metrics.codes.inc({ outcome: "rejected", method: "code" });
+      await interaction.editReply({
+        content: say("verify.invalid", { left: attempt.attemptsLeft, s: attempt.attemptsLeft === 1 ? "" : "s" })
+      });
       return;
     }
     
-    if (enteredCode !== session.code) {
-      await interaction.editReply({ content: "Invalid code. Please try again or click Resend Code." });
+    const outcome = await completeEmailVerification(interaction.user, session);
+    if (outcome.blocked) {
+      await interaction.editReply({ content: outcome.message });
       return;
     }
     
-    // Verified: proceed with updating nickname and assigning email role
-    try {
-      const guild = client.guilds.cache.get(GUILD_ID);
-      const member = await guild.members.fetch(interaction.user.id);
-      await processUserInfo(interaction, member, session.fullName, session.email);
-    } catch (e) {
-      // Continue; processUserInfo already logs errors
+    if (outcome.emailChanged) {
+      await interaction.editReply({ content: say("verify.updatedShort", { email: session.email }), embeds: [], components: [] });
+      return;
     }
     
-    verificationCodes.delete(interaction.user.id);
     const user = pendingUsers.get(interaction.user.id) || { fullName: session.fullName, studentEmail: session.email };
     await showInfoConfirmation(interaction, user.fullName, user.studentEmail);
+  } else if (interaction.customId.startsWith("rolereqdeny_")) {
+    await handleRoleDenyModal(interaction);
+  } else if (interaction.customId.startsWith("profilename_")) {
+    await updateNicknameFromProfile(interaction);
+  } else if (interaction.customId.startsWith("profileemail_")) {
+    await startEmailChange(interaction);
   }
 }
 
-async function processUserInfo(interaction, member, fullName, studentEmail) {
-  try {
-    // Update nickname to full name
-    await member.setNickname(fullName);
-    console.log(`Updated nickname for ${member.user.tag} to ${fullName}`);
-    
-    // Create role with full email ID and assign it
-    let emailRole = member.guild.roles.cache.find(r => r.name === studentEmail);
-    
-    if (!emailRole) {
-      emailRole = await member.guild.roles.create({
-        name: studentEmail,
-        color: 0x99AAB5,
-        permissions: [],
-        reason: `Email role for ${fullName}`
+// Shared by the code modal and the magic link once the email is proven.
+// Returns { blocked: true, message } when the duplicate-email policy stops it.
+async function completeEmailVerification(user, session, method = "code") {
+  verificationCodes.delete(user.id);
+  
+  // One Discord account per student email
+  const existingBinding = findEmailBinding(session.email, user.id);
+  if (existingBinding) {
+    await reportBindingConflict(user, existingBinding, session);
+    if (DUPLICATE_EMAIL_POLICY === "block") {
+      audit("email_verified", {
+        userId: user.id,
+        outcome: "blocked",
+        email: session.email,
+        method,
+        reason: `already bound to ${existingBinding.discordId}`
       });
-      console.log(`Created role: ${studentEmail}`);
+      metrics.codes.inc({ outcome: "blocked", method });
+      return { blocked: true, message: translator(user.id)("verify.alreadyLinked") };
     }
-    
-    await member.roles.add(emailRole);
-    console.log(`Assigned email role ${studentEmail} to ${member.user.tag}`);
-    
-  } catch (error) {
+  }
+  
+  // A member who already finished setup is changing their email from /profile
+  const previous = memberRegistry.get(user.id);
+  const emailChanged = Boolean(previous?.completedAt && previous.email && previous.email !== session.email);
+  
+  // Verified: proceed with updating nickname and assigning the Verified role
+  try {
+    const guild = currentGuild();
+    const member = await guild.members.fetch(user.id);
+    await processUserInfo(null, member, session.fullName, session.email);
+    if (emailChanged) {
+      // Program/roster roles that came with the old address only
+      const keep = new Set(getVerificationRoles(guild, session.email).map(r => r.id));
+      const stale = getVerificationRoles(guild, previous.email).filter(r => !keep.has(r.id));
+      if (stale.length > 0) await member.roles.remove(stale);
+    }
+  } catch (e) {
+    // Continue; processUserInfo already logs errors
+  }
+  
+  updateRegistry(user.id, {
+    tag: user.tag,
+    fullName: session.fullName,
+    email: session.email,
+    verifiedAt: new Date().toISOString(),
+    duplicateOf: existingBinding ? existingBinding.discordId : null
+  });
+  audit("email_verified", {
+    userId: user.id,
+    outcome: "success",
+    email: session.email,
+    method,
+    duplicateOf: existingBinding ? existingBinding.discordId : null
+  });
+  metrics.codes.inc({ outcome: "verified", method });
+  if (emailChanged) {
+    console.log(`Email for ${user.tag} changed from ${previous.email} to ${session.email}`);
+    audit("profile_updated", { userId: user.id, outcome: "success", field: "email", from: previous.email, to: session.email });
+  }
+  return { blocked: false, emailChanged };
+}
+
+// POST /verify/:token — spends the link and moves the Discord flow on by DM
+async function consumeMagicLink({ userId, nonce }) {
+  const say = translator(userId);
+  const session = verificationCodes.get(userId);
+  if (!session || session.linkNonce !== nonce) {
+    return { ok: false, title: say("link.usedTitle"), message: say("link.used") };
+  }
+  if (Date.now() > session.expires) {
+    verificationCodes.delete(userId);
+    metrics.codes.inc({ outcome: "expired", method: "magic link" });
+    return { ok: false, title: say("link.expiredTitle"), message: say("link.expired") };
+  }
+  const lockout = verificationGuard.getLockout(userId);
+  if (lockout) {
+    return {
+      ok: false,
+      title: say("link.lockedTitle"),
+      message: verificationGuard.describeLimit({ reason: "locked", retryAfterMs: lockout.until - Date.now() }, say.limit)
+    };
+  }
+  
+  verificationCodes.delete(userId); // Spend the link before any await so a double submit can't reuse it
+  let user, outcome;
+  try {
+    user = await client.users.fetch(userId);
+    outcome = await completeEmailVerification(user, session, "magic link");
+  } catch (error) {
+    // Give the session back so the link (or the emailed code) can be tried again
+    console.error(`Magic-link verification failed for ${userId}:`, error);
+    if (!verificationCodes.has(userId)) verificationCodes.set(userId, session);
+    return { ok: false, title: say("link.failedTitle"), message: say("link.failed") };
+  }
+  if (outcome.blocked) {
+    return { ok: false, title: say("link.linkedTitle"), message: outcome.message };
+  }
+  
+  const embed = new EmbedBuilder()
+    .setTitle(say(outcome.emailChanged ? "verify.updatedTitle" : "verify.verifiedTitle"))
+    .setDescription(
+      outcome.emailChanged
+        ? say("verify.updated", { email: session.email })
+        : say("info.saved", { name: session.fullName, email: session.email })
+    )
+    .setColor(0x5865F2);
+  const button = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(proceedCustomId())
+        .setLabel(say("info.selectCategory"))
+        .setStyle(ButtonStyle.Primary)
+    );
+  await user.send({ embeds: [embed], components: outcome.emailChanged ? [] : [button] }).catch(() => {
+    console.log(`Could not DM ${user.tag} after magic-link verification`);
+  });
+  
+  console.log(`Email ${session.email} verified by magic link for ${user.tag}`);
+  return { ok: true, title: say("link.verifiedTitle"), message: say("link.verified") };
+}
+
+async function processUserInfo(interaction, member, fullName, studentEmail) {
+  try {
+    // Nickname from the policy template; members above the bot keep theirs and are reported
+    const { nickname } = await applyNicknamePolicy(member, fullName, { trigger: "verification" });
+    
+    // Single Verified role (plus program role); the email is kept in the registry
+    const roles = getVerificationRoles(member.guild, studentEmail);
+    if (roles.length === 0) {
+      console.log(`Warning: Verified role "${config.verifiedRole}" not found`);
+      return;
+    }
+    
+    await member.roles.add(roles);
+    console.log(`Assigned ${roles.map(r => r.name).join(", ")} to ${member.user.tag}`);
+    audit("verification_roles", { userId: member.id, outcome: "success", roles: roles.map(r => r.name), nickname });
+    
+  } catch (error) {
     console.error("Error processing user info:", error);
+    audit("verification_roles", { userId: member.id, outcome: "failure", error: error.message });
+    countDiscordError("verification_roles");
   }
 }
 
-async function showInfoConfirmation(interaction, fullName, studentEmail) {
+// ====== EMAIL BINDINGS ======
+// The registry is the source of truth for which account owns a verified email
+function findEmailBinding(email, excludeUserId) {
+  const normalized = email.toLowerCase();
+  return memberRegistry.find((record, userId) =>
+    userId !== excludeUserId &&
+    record.verifiedAt &&
+    record.email &&
+    record.email.toLowerCase() === normalized
+  );
+}
+
+async function postToModerators(payload) {
+  const { modChannelId } = guildContext();
+  if (!modChannelId) {
+    console.log("No moderator channel set (MOD_CHANNEL_ID or modChannel), notification skipped");
+    return null;
+  }
+  try {
+    const channel = await client.channels.fetch(modChannelId);
+    return await channel.send(payload);
+  } catch (error) {
+    console.error("Error posting to moderator channel:", error);
+    return null;
+  }
+}
+
+async function reportBindingConflict(user, existingBinding, session) {
+  console.log(
+    `Email conflict: ${user.tag} (${user.id}) verified ${session.email}, ` +
+    `already bound to ${existingBinding.tag} (${existingBinding.discordId}) - policy: ${DUPLICATE_EMAIL_POLICY}`
+  );
+
   const embed = new EmbedBuilder()
-    .setTitle("Information Saved")
+    .setTitle("Duplicate Email Verification")
     .setDescription(
-      `Name: ${fullName}\n` +
-      `Email: ${studentEmail}\n\n` +
-      `Now select your category:`
+      `${session.email} was verified by a second Discord account.\n` +
+      (DUPLICATE_EMAIL_POLICY === "block"
+        ? "The new account was **blocked** from completing verification."
+        : "The new account was **allowed** and flagged for review.")
+    )
+    .addFields(
+      { name: "Bound account", value: `<@${existingBinding.discordId}>\n${existingBinding.tag || "unknown"} (${existingBinding.discordId})`, inline: true },
+      { name: "New account", value: `<@${user.id}>\n${user.tag} (${user.id})`, inline: true },
+      { name: "Name entered", value: session.fullName || "—", inline: false }
     )
+    .setColor(0xFEE75C)
+    .setTimestamp();
+
+  const row = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`transferbind_${existingBinding.discordId}_${user.id}`)
+        .setLabel("Transfer binding to new account")
+        .setStyle(ButtonStyle.Danger)
+    );
+
+  await postToModerators({ embeds: [embed], components: [row] });
+}
+
+// Moves an email binding (registry entry and verification roles) from one account to another.
+// actor is the Discord user (or { id: null, tag } for the admin API) who asked for it
+async function transferEmailBinding(guild, email, toUserId, actor, fullName = null) {
+  // Check the new owner first so a failed fetch leaves the old binding in place
+  const target = await guild.members.fetch(toUserId).catch(() => null);
+  if (!target) throw new Error(`${toUserId} is not in the server`);
+  const previous = findEmailBinding(email, toUserId);
+  const now = new Date().toISOString();
+
+  if (previous) {
+    updateRegistry(previous.discordId, {
+      email: null,
+      verifiedAt: null,
+      unboundAt: now,
+      unboundReason: `Transferred to ${toUserId} by ${actor.tag}`
+    });
+  }
+
+  const pending = pendingUsers.get(toUserId);
+  const name = fullName || pending?.fullName || memberRegistry.get(toUserId)?.fullName || target.displayName;
+  updateRegistry(toUserId, {
+    tag: target.user.tag,
+    fullName: name,
+    email,
+    verifiedAt: now,
+    duplicateOf: null,
+    transferredFrom: previous ? previous.discordId : null
+  });
+
+  if (previous) {
+    const oldMember = await guild.members.fetch(previous.discordId).catch(() => null);
+    if (oldMember) await oldMember.roles.remove(getVerificationRoles(guild, email)).catch(() => {});
+  }
+  await processUserInfo(null, target, name, email);
+
+  console.log(`Email binding for ${email} transferred ${previous ? `from ${previous.discordId} ` : ""}to ${toUserId} by ${actor.tag}`);
+  audit("binding_transferred", { userId: toUserId, actorId: actor.id, actorTag: actor.tag, email, from: previous ? previous.discordId : null });
+
+  // Let the new account pick up where verification left off
+  if (pending) {
+    const say = translator(toUserId);
+    const embed = new EmbedBuilder()
+      .setTitle(say("verify.linkedTitle"))
+      .setDescription(say("verify.linked", { email }))
+      .setColor(0x5865F2);
+    const button = new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId(proceedCustomId())
+          .setLabel(say("info.selectCategory"))
+          .setStyle(ButtonStyle.Primary)
+      );
+    await target.send({ embeds: [embed], components: [button] }).catch(() => {});
+  }
+
+  return previous;
+}
+
+async function handleTransferButton(interaction) {
+  const [, fromUserId, toUserId] = interaction.customId.split("_");
+
+  if (!interaction.inGuild() || !interaction.memberPermissions?.has(PermissionsBitField.Flags.ManageRoles)) {
+    await interaction.reply({ content: "Only moderators can transfer email bindings.", ephemeral: true });
+    return;
+  }
+
+  const record = memberRegistry.get(fromUserId);
+  if (!record?.email || !record.verifiedAt) {
+    await interaction.reply({ content: "That binding no longer exists.", ephemeral: true });
+    return;
+  }
+
+  const target = await interaction.guild.members.fetch(toUserId).catch(() => null);
+  if (!target) {
+    await interaction.reply({ content: `<@${toUserId}> is no longer in the server; the binding was not transferred.`, ephemeral: true });
+    return;
+  }
+
+  await interaction.deferUpdate();
+  try {
+    await transferEmailBinding(interaction.guild, record.email, toUserId, interaction.user);
+  } catch (error) {
+    console.error("Error transferring email binding:", error);
+    // Keep the button so the transfer can be retried
+    await interaction.editReply({ content: `❌ Transfer of ${record.email} to <@${toUserId}> failed: ${error.message}` });
+    return;
+  }
+  await interaction.editReply({
+    content: `✅ ${record.email} transferred from <@${fromUserId}> to <@${toUserId}> by ${interaction.user}.`,
+    components: []
+  });
+}
+
+// ====== EMAIL ROLE MIGRATION ======
+// Legacy verification created one role per student email; fold those into the registry
+const EMAIL_ROLE_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Builds (and with apply=true, executes) the migration plan; returns report lines
+async function migrateEmailRoles(guild, { apply = false } = {}) {
+  await guild.members.fetch(); // Populate role.members
+  if (apply) await ensureVerifiedRole(guild);
+  const emailRoles = guild.roles.cache.filter(r => EMAIL_ROLE_PATTERN.test(r.name));
+  
+  const summary = { roles: emailRoles.size, recorded: 0, conflicts: 0, deleted: 0, skipped: 0 };
+  const lines = [];
+  
+  for (const role of emailRoles.values()) {
+    const email = role.name;
+    const members = [...role.members.values()].sort((a, b) => (a.joinedTimestamp || 0) - (b.joinedTimestamp || 0));
+    const bound = findEmailBinding(email);
+    // Keep an existing registry binding, otherwise the earliest member owns the email
+    const owner = bound ? bound.discordId : members[0]?.id;
+    const problems = [];
+    // The roles live verification grants for this email (Verified, program and roster roles)
+    const grants = verificationRoleNames(email).join(", ");
+    
+    lines.push(`${email} — ${members.length} member(s)${bound ? `, already bound to ${bound.tag || bound.discordId}` : ""}`);
+    
+    for (const member of members) {
+      const isOwner = member.id === owner;
+      // Same rule as live verification: duplicates are only verified under the "flag" policy
+      const grantVerified = isOwner || DUPLICATE_EMAIL_POLICY === "flag";
+      if (!isOwner) {
+        summary.conflicts++;
+        lines.push(
+          `  ! ${member.user.tag} (${member.id}) shares this email — will be flagged as duplicate, ` +
+          (grantVerified ? `gets ${grants} (policy: flag)` : "no verification roles (policy: block)")
+        );
+      } else {
+        lines.push(`  + ${member.user.tag} (${member.id}) → registry, gets ${grants}`);
+      }
+      if (!apply) continue;
+      
+      try {
+        updateRegistry(member.id, {
+          tag: member.user.tag,
+          fullName: memberRegistry.get(member.id)?.fullName || member.displayName,
+          ...(isOwner
+            ? { email, verifiedAt: memberRegistry.get(member.id)?.verifiedAt || new Date().toISOString() }
+            : { duplicateOf: owner }),
+          migratedFromRole: email
+        });
+        if (grantVerified) await member.roles.add(getVerificationRoles(guild, email));
+        if (isOwner) summary.recorded++;
+      } catch (error) {
+        problems.push(`${member.user.tag}: ${error.message}`);
+      }
+    }
+    
+    if (!role.editable) {
+      summary.skipped++;
+      lines.push("  x role is above the bot's highest role — delete it manually");
+      continue;
+    }
+    
+    if (!apply) {
+      lines.push("  - role will be deleted");
+      continue;
+    }
+    
+    if (problems.length > 0) {
+      summary.skipped++;
+      lines.push(`  x kept role, ${problems.length} member(s) failed: ${problems.join("; ")}`);
+      continue;
+    }
+    
+    try {
+      await role.delete("Migrated to Verified role + member registry");
+      summary.deleted++;
+      lines.push("  - role deleted");
+    } catch (error) {
+      summary.skipped++;
+      lines.push(`  x could not delete role: ${error.message}`);
+    }
+  }
+  
+  return { summary, lines };
+}
+
+// Reply payload with a short summary; the full report is attached when it doesn't fit in a message
+function buildReport(summaryText, lines, filename = "report.txt") {
+  const body = lines.join("\n");
+  if (summaryText.length + body.length + 10 <= 2000) {
+    return { content: body ? `${summaryText}\n\`\`\`\n${body}\n\`\`\`` : summaryText };
+  }
+  const file = new AttachmentBuilder(Buffer.from(body, "utf8"), { name: filename });
+  return { content: summaryText, files: [file] };
+}
+
+async function showInfoConfirmation(interaction, fullName, studentEmail) {
+  const say = translator(interaction.user.id);
+  const embed = new EmbedBuilder()
+    .setTitle(say("info.savedTitle"))
+    .setDescription(say("info.saved", { name: fullName, email: studentEmail }))
     .setColor(0x5865F2);
 
   const button = new ActionRowBuilder()
     .addComponents(
       new ButtonBuilder()
-        .setCustomId("proceed_to_roles")
-        .setLabel("Select Category")
+        .setCustomId(proceedCustomId())
+        .setLabel(say("info.selectCategory"))
         .setStyle(ButtonStyle.Primary)
     );
 
@@ -733,132 +1602,342 @@ async function showInfoConfirmation(interaction, fullName, studentEmail) {
   }
 }
 
-async function showCategorySelection(interaction) {
+async function showCategorySelection(interaction, notice = null) {
+  const guild = currentGuild();
+  const member = await guild.members.fetch(interaction.user.id);
+  const held = selectableRoleNames(member);
+  const multiple = config.selectionRules.multipleCategories;
+  const say = translator(interaction.user.id);
+
   const embed = new EmbedBuilder()
-    .setTitle("Select One Category")
-    .setDescription("Choose the category that best matches your skills:")
+    .setTitle(say(multiple ? "categories.titleMultiple" : "categories.titleSingle"))
+    .setDescription(say(multiple ? "categories.bodyMultiple" : "categories.bodySingle"))
     .setColor(0x5865F2);
+  if (held.length > 0) embed.addFields({ name: say("categories.yourRoles"), value: held.join(", "), inline: false });
+  if (notice) embed.addFields({ name: say("categories.cantContinue"), value: notice, inline: false });
 
   const selectMenu = new StringSelectMenuBuilder()
     .setCustomId(`category_${interaction.user.id}`)
-    .setPlaceholder("Choose one category")
+    .setPlaceholder(say(multiple ? "categories.placeholderMultiple" : "categories.placeholderSingle"))
     .setMinValues(1)
-    .setMaxValues(1); // Only one selection allowed
+    .setMaxValues(1); // One category page at a time
 
-  Object.entries(ROLE_CATEGORIES).forEach(([category, roles]) => {
-    const availableInCategory = roles.filter(role => availableRoles.has(role));
+  Object.keys(config.roleCategories).forEach(category => {
+    const availableInCategory = selfServiceRoles(category);
     if (availableInCategory.length > 0) {
+      const selected = held.filter(role => availableInCategory.includes(role)).length;
+      const limits = describeLimits(config.selectionRules, category, say.rule);
       selectMenu.addOptions({
         label: category,
         value: category,
-        description: `${availableInCategory.length} roles available`
+        description: [
+          say("categories.available", { count: availableInCategory.length }),
+          selected > 0 ? say("categories.selected", { count: selected }) : null,
+          limits
+        ].filter(Boolean).join(" · ").slice(0, 100)
       });
     }
   });
 
-  const row = new ActionRowBuilder().addComponents(selectMenu);
+  const components = [new ActionRowBuilder().addComponents(selectMenu)];
+  if (held.length > 0) components.push(buildRoleNavRow(interaction.user.id, { back: false }));
   
-  await interaction.editReply({ embeds: [embed], components: [row] });
+  await interaction.editReply({ embeds: [embed], components });
 }
 
 async function handleSelectMenu(interaction) {
-  if (interaction.customId.startsWith("category_")) {
+  if (interaction.customId.startsWith("language_")) {
+    await chooseLanguage(interaction);
+  } else if (interaction.customId.startsWith("category_")) {
     if (!interaction.deferred && !interaction.replied) {
       try { await interaction.deferUpdate(); } catch (_) {}
     }
     const selectedCategory = interaction.values[0]; // Only one value since maxValues = 1
+    const session = pendingUsers.get(interaction.user.id);
+    if (session) {
+      // Categories opened this session; their min counts apply when completing
+      const categories = config.selectionRules.multipleCategories
+        ? [...new Set([...(session.categories || []), selectedCategory])]
+        : [selectedCategory];
+      pendingUsers.set(interaction.user.id, { ...session, categories });
+    }
     await showCategoryRoles(interaction, selectedCategory);
   }
 }
 
+// Language picker on the welcome DM or channel prompt; the choice sticks for later DMs and emails
+async function chooseLanguage(interaction) {
+  const userId = interaction.customId.split("_")[1];
+  if (interaction.user.id !== userId) {
+    await interaction.reply({ content: translator(interaction.user.id)("welcome.notYours"), ephemeral: true });
+    return;
+  }
+  const language = interaction.values[0];
+  if (!config.languages.includes(language)) {
+    await interaction.deferUpdate();
+    return;
+  }
+  languagePrefs.set(userId, { language, updatedAt: new Date().toISOString() });
+  audit("language_selected", { userId, outcome: "success", language });
+  await interaction.update(buildSetupPrompt(interaction.user, interaction.inGuild() ? "prompt" : "welcome"));
+}
+
 async function showCategoryRoles(interaction, category) {
   // Get member from guild (since interaction.member is null in DMs)
-  const guild = client.guilds.cache.get(GUILD_ID);
+  const guild = currentGuild();
   const member = await guild.members.fetch(interaction.user.id);
-  const userRoles = member.roles.cache;
-  const roles = ROLE_CATEGORIES[category].filter(role => availableRoles.has(role));
   
-  if (roles.length === 0) {
+  if (selfServiceRoles(category).length === 0) {
     await interaction.editReply({
-      content: "No roles available in this category.",
+      content: translator(interaction.user.id)("categories.empty"),
       embeds: [],
       components: []
     });
     return;
   }
 
+  await interaction.editReply(buildCategoryRolesView(member, category));
+}
+
+// ====== ROLE CATALOG ======
+// config.roleCatalog: { id, name, description, emoji, category } for every category role.
+// Picker buttons carry the stable id, never the role name.
+const ROLE_BUTTONS_PER_ROW = 5;
+const ROLE_ROWS_UNPAGED = 4; // 5 rows max, minus the navigation row
+const ROLE_ROWS_PAGED = 3; // ...and minus the page row
+
+function catalogEntry(roleName) {
+  return config.roleCatalog.find(r => r.name === roleName) || { id: null, name: roleName, description: null, emoji: null };
+}
+
+function catalogEntryById(id) {
+  return config.roleCatalog.find(r => r.id === id) || null;
+}
+
+function roleDisplayName(roleName) {
+  const entry = catalogEntry(roleName);
+  return entry.emoji ? `${entry.emoji} ${roleName}` : roleName;
+}
+
+// Splits a category's roles into picker pages
+function paginateRoles(roles) {
+  const unpaged = ROLE_BUTTONS_PER_ROW * ROLE_ROWS_UNPAGED;
+  if (roles.length <= unpaged) return [roles];
+  const perPage = ROLE_BUTTONS_PER_ROW * ROLE_ROWS_PAGED;
+  const pages = [];
+  for (let i = 0; i < roles.length; i += perPage) pages.push(roles.slice(i, i + perPage));
+  return pages;
+}
+
+// Embed describing every role in a category (or all categories) for the info view and /roles
+function buildRoleCatalogEmbed(category, say) {
+  const categories = category ? [category] : Object.keys(config.roleCategories);
+  const embed = new EmbedBuilder()
+    .setTitle(category ? say("roles.guideTitle", { category }) : say("roles.guide"))
+    .setColor(0x5865F2);
+  
+  for (const name of categories.slice(0, 25)) {
+    const lines = (config.roleCategories[name] || []).map(roleName => {
+      const entry = catalogEntry(roleName);
+      const notes = [
+        needsApproval(roleName) ? say("roles.needsApproval") : null,
+        config.rosterRoles.includes(roleName) ? say("roles.fromRoster") : null
+      ].filter(Boolean);
+      return `**${roleDisplayName(roleName)}**${notes.length > 0 ? ` _(${notes.join(", ")})_` : ""}` +
+        (entry.description ? `\n${entry.description}` : "");
+    });
+    const value = lines.join("\n").slice(0, 1024) || "—";
+    if (category) embed.setDescription(value);
+    else embed.addFields({ name, value, inline: false });
+  }
+  return embed;
+}
+
+// Role buttons for one category plus navigation. warning explains a refused change,
+// info confirms one (like a request sent for approval).
+function buildCategoryRolesView(member, category, { warning = null, info = null, page = 0 } = {}) {
+  const userRoles = member.roles.cache;
+  const pages = paginateRoles(selfServiceRoles(category));
+  const pageIndex = Math.min(Math.max(page, 0), pages.length - 1);
+  const roles = pages[pageIndex];
+  const pending = pendingRequestedRoles(member.id);
+  const say = translator(member.id);
+  const limits = describeLimits(config.selectionRules, category, say.rule);
+  const categoryIndex = Object.keys(config.roleCategories).indexOf(category);
+
   const embed = new EmbedBuilder()
-    .setTitle(`${category} Roles`)
-    .setDescription("Select roles that match your skills:")
+    .setTitle(say("roles.title", { category }))
+    .setDescription(limits ? say("roles.bodyWithLimits", { limits }) : say("roles.body"))
     .setColor(0x5865F2);
+  if (pages.length > 1) embed.setFooter({ text: say("roles.page", { page: pageIndex + 1, pages: pages.length }) });
 
   let roleList = "";
   roles.forEach(roleName => {
     const hasRole = userRoles.find(r => r.name === roleName);
-    roleList += `${hasRole ? '[X]' : '[ ]'} ${roleName}\n`;
+    const label = roleDisplayName(roleName);
+    if (hasRole) roleList += `[X] ${label}\n`;
+    else if (pending.includes(roleName)) roleList += `[~] ${label} (${say("roles.pendingApproval")})\n`;
+    else roleList += `[ ] ${label}${needsApproval(roleName) ? ` (${say("roles.needsApproval")})` : ""}\n`;
   });
   
   embed.addFields({
-    name: "Available Roles",
-    value: roleList,
+    name: say("roles.available"),
+    value: roleList.slice(0, 1024),
     inline: false
   });
+  if (info) embed.addFields({ name: say("roles.note"), value: info, inline: false });
+  if (warning) embed.addFields({ name: say("roles.cantDo"), value: warning, inline: false });
 
   // Create buttons for roles
   const buttons = [];
-  for (let i = 0; i < roles.length; i += 5) {
+  for (let i = 0; i < roles.length; i += ROLE_BUTTONS_PER_ROW) {
     const row = new ActionRowBuilder();
-    const roleSlice = roles.slice(i, i + 5);
     
-    roleSlice.forEach(roleName => {
+    roles.slice(i, i + ROLE_BUTTONS_PER_ROW).forEach(roleName => {
+      const entry = catalogEntry(roleName);
       const hasRole = userRoles.find(r => r.name === roleName);
-      row.addComponents(
-        new ButtonBuilder()
-          .setCustomId(`toggle_${roleName.replace(/\s+/g, "_")}`)
-          .setLabel(roleName.length > 20 ? roleName.substring(0, 17) + "..." : roleName)
-          .setStyle(hasRole ? ButtonStyle.Success : ButtonStyle.Secondary)
-      );
+      const isPending = !hasRole && pending.includes(roleName);
+      const button = new ButtonBuilder()
+        .setCustomId(`toggle_${entry.id}`)
+        .setLabel(roleName.slice(0, 80))
+        .setStyle(hasRole ? ButtonStyle.Success : isPending ? ButtonStyle.Primary : ButtonStyle.Secondary);
+      if (isPending) button.setEmoji("⏳");
+      else if (entry.emoji) button.setEmoji(entry.emoji);
+      row.addComponents(button);
     });
     
     buttons.push(row);
   }
 
-  // Add navigation buttons (back and complete)
-  const navRow = new ActionRowBuilder()
-    .addComponents(
+  if (pages.length > 1) {
+    buttons.push(new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId(`rolepage_${categoryIndex}_${pageIndex - 1}`)
+          .setLabel(say("roles.previous"))
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(pageIndex === 0),
+        new ButtonBuilder()
+          .setCustomId(`rolepage_${categoryIndex}_${pageIndex + 1}`)
+          .setLabel(say("roles.next"))
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(pageIndex === pages.length - 1)
+      ));
+  }
+
+  buttons.push(buildRoleNavRow(member.id, { infoCategoryIndex: categoryIndex }));
+
+  return { content: "", embeds: [embed], components: buttons };
+}
+
+// Page of the category picker that holds a role, so a toggle re-renders in place
+function pageOfRole(category, roleName) {
+  return Math.max(paginateRoles(selfServiceRoles(category)).findIndex(page => page.includes(roleName)), 0);
+}
+
+async function showRolePage(interaction) {
+  const [, categoryIndex, page] = interaction.customId.split("_");
+  const category = Object.keys(config.roleCategories)[Number(categoryIndex)];
+  if (!category) {
+    await showCategorySelection(interaction);
+    return;
+  }
+  const guild = currentGuild();
+  const member = await guild.members.fetch(interaction.user.id);
+  await interaction.editReply(buildCategoryRolesView(member, category, { page: Number(page) }));
+}
+
+async function showRoleInfo(interaction) {
+  const category = Object.keys(config.roleCategories)[Number(interaction.customId.split("_")[1])];
+  await interaction.reply({ embeds: [buildRoleCatalogEmbed(category || null, translator(interaction.user.id))], ephemeral: true });
+}
+
+// Back, info and complete buttons under the role picker; members editing from /profile save instead
+function buildRoleNavRow(userId, { back = true, infoCategoryIndex = null } = {}) {
+  const editing = !pendingUsers.has(userId) && Boolean(memberRegistry.get(userId)?.completedAt);
+  const say = translator(userId);
+  const row = new ActionRowBuilder();
+  if (back) {
+    row.addComponents(
       new ButtonBuilder()
         .setCustomId("back_to_categories")
-        .setLabel("← Back to Categories")
-        .setStyle(ButtonStyle.Secondary),
+        .setLabel(say("roles.back"))
+        .setStyle(ButtonStyle.Secondary)
+    );
+  }
+  if (infoCategoryIndex !== null && infoCategoryIndex >= 0) {
+    row.addComponents(
       new ButtonBuilder()
-        .setCustomId("complete_setup")
-        .setLabel("Complete Setup")
-        .setStyle(ButtonStyle.Primary)
+        .setCustomId(`roleinfo_${infoCategoryIndex}`)
+        .setLabel(say("roles.whatTheyMean"))
+        .setEmoji("ℹ️")
+        .setStyle(ButtonStyle.Secondary)
     );
-  
-  buttons.push(navRow);
+  }
+  return row.addComponents(
+    new ButtonBuilder()
+      .setCustomId("complete_setup")
+      .setLabel(say(editing ? "roles.save" : "roles.complete"))
+      .setStyle(ButtonStyle.Primary)
+  );
+}
 
-  await interaction.editReply({ embeds: [embed], components: buttons });
+// Re-renders whichever picker page the button was on with the rule problems listed.
+// The page is read from its buttons (roleinfo_<category>, rolepage_<category>_<previous page>)
+// since titles are translated.
+async function showSelectionProblems(interaction, member, problems) {
+  const notice = problems.map(p => `• ${p}`).join("\n");
+  const buttonIds = (interaction.message?.components || []).flatMap(row => row.components.map(c => c.customId || ""));
+  const infoId = buttonIds.find(id => id.startsWith("roleinfo_"));
+  const category = infoId && Object.keys(config.roleCategories)[Number(infoId.split("_")[1])];
+  if (category) {
+    const previousId = buttonIds.find(id => id.startsWith("rolepage_"));
+    const page = previousId ? Number(previousId.split("_")[2]) + 1 : 0;
+    await interaction.editReply(buildCategoryRolesView(member, category, { warning: notice, page }));
+  } else {
+    await showCategorySelection(interaction, notice);
+  }
 }
 
 async function toggleRole(interaction) {
-  const roleName = interaction.customId.replace("toggle_", "").replace(/_/g, " ");
+  const say = translator(interaction.user.id);
+  const roleId = interaction.customId.slice("toggle_".length);
+  // Messages sent before stable IDs used the role name with spaces as underscores
+  const entry = catalogEntryById(roleId) ||
+    config.roleCatalog.find(r => r.name === roleId.replace(/_/g, " "));
+  if (!entry) {
+    await interaction.editReply({
+      content: say("roles.noLongerOffered"),
+      embeds: [],
+      components: []
+    });
+    return;
+  }
+  const roleName = entry.name;
   
   // Get member from guild (since interaction.member is null in DMs)
-  const guild = client.guilds.cache.get(GUILD_ID);
+  const guild = currentGuild();
   const member = await guild.members.fetch(interaction.user.id);
   
-  if (PROTECTED_ROLES.includes(roleName)) {
-    await interaction.reply({ 
-      content: "This role requires admin assignment.", 
+  if (config.protectedRoles.includes(roleName)) {
+    await interaction.followUp({ 
+      content: say("roles.adminOnly"), 
+      ephemeral: true
+    });
+    return;
+  }
+  
+  if (config.rosterRoles.includes(roleName)) {
+    await interaction.followUp({ 
+      content: say("roles.fromRosterOnly"), 
       ephemeral: true
     });
     return;
   }
   
   if (!availableRoles.has(roleName)) {
-    await interaction.reply({ 
-      content: "Role not available.", 
+    await interaction.followUp({ 
+      content: say("roles.unavailable"), 
       ephemeral: true
     });
     return;
@@ -866,123 +1945,161 @@ async function toggleRole(interaction) {
   
   const role = guild.roles.cache.find(r => r.name === roleName);
   if (!role) {
-    await interaction.reply({ 
-      content: "Role not found.", 
+    await interaction.followUp({ 
+      content: say("roles.notFound"), 
       ephemeral: true
     });
     return;
   }
   
   const hasRole = member.roles.cache.has(role.id);
+  const categoryName = entry.category;
+  const page = pageOfRole(categoryName, roleName);
   
-  try {
-    if (hasRole) {
-      await member.roles.remove(role);
-    } else {
-      await member.roles.add(role);
+  if (!hasRole) {
+    const pendingRequest = findPendingRoleRequest(member.id, roleName);
+    if (pendingRequest?.status === "deciding") {
+      await interaction.editReply(buildCategoryRolesView(member, categoryName, { info: say("roles.beingDecided", { role: roleName }), page }));
+      return;
     }
-    
-    // Update the button style and recreate all components
-    const embed = interaction.message.embeds[0];
-    const categoryName = embed.title.replace(" Roles", "");
-    const roles = ROLE_CATEGORIES[categoryName].filter(role => availableRoles.has(role));
-    const userRoles = member.roles.cache;
-    
-    // Recreate all role buttons
-    const buttons = [];
-    for (let i = 0; i < roles.length; i += 5) {
-      const row = new ActionRowBuilder();
-      const roleSlice = roles.slice(i, i + 5);
-      
-      roleSlice.forEach(rName => {
-        const hasR = userRoles.find(r => r.name === rName);
-        row.addComponents(
-          new ButtonBuilder()
-            .setCustomId(`toggle_${rName.replace(/\s+/g, "_")}`)
-            .setLabel(rName.length > 20 ? rName.substring(0, 17) + "..." : rName)
-            .setStyle(hasR ? ButtonStyle.Success : ButtonStyle.Secondary)
-        );
-      });
-      
-      buttons.push(row);
+    if (pendingRequest) {
+      // Clicking a pending role again withdraws the request
+      await closeRoleRequest(guild, pendingRequest, { status: "withdrawn", decidedBy: member.user });
+      await interaction.editReply(buildCategoryRolesView(member, categoryName, { info: say("roles.withdrew", { role: roleName }), page }));
+      return;
     }
-
-    // Add navigation buttons (back and complete)
-    const navRow = new ActionRowBuilder()
-      .addComponents(
-        new ButtonBuilder()
-          .setCustomId("back_to_categories")
-          .setLabel("← Back to Categories")
-          .setStyle(ButtonStyle.Secondary),
-        new ButtonBuilder()
-          .setCustomId("complete_setup")
-          .setLabel("Complete Setup")
-          .setStyle(ButtonStyle.Primary)
-      );
     
-    buttons.push(navRow);
+    const refused = checkAdd(config.selectionRules, config.roleCategories, ruleHeldRoles(member), roleName, say.rule);
+    if (refused) {
+      audit("role_toggled", { userId: member.id, outcome: "blocked", role: roleName, action: "add", reason: refused });
+      await interaction.editReply(buildCategoryRolesView(member, categoryName, { warning: refused, page }));
+      return;
+    }
     
-    // Update role list in embed
-    let roleList = "";
-    roles.forEach(rName => {
-      const hasR = userRoles.find(r => r.name === rName);
-      roleList += `${hasR ? '[X]' : '[ ]'} ${rName}\n`;
-    });
+    if (needsApproval(roleName)) {
+      const request = await createRoleRequest(member, roleName);
+      await interaction.editReply(buildCategoryRolesView(member, categoryName, request
+        ? { info: say("roles.requested", { role: roleName }), page }
+        : { warning: say("roles.requestFailed", { role: roleName }), page }));
+      return;
+    }
+  }
+  
+  try {
+    // roles.add/remove resolve with the updated member; the fetched one may still be stale
+    const updated = hasRole ? await member.roles.remove(role) : await member.roles.add(role);
+    audit("role_toggled", { userId: member.id, outcome: "success", role: roleName, action: hasRole ? "removed" : "added" });
+    metrics.roleToggles.inc({ role: roleName, action: hasRole ? "removed" : "added" });
     
-    const updatedEmbed = new EmbedBuilder()
-      .setTitle(embed.title)
-      .setDescription(embed.description)
-      .setColor(embed.color)
-      .addFields({
-        name: "Available Roles",
-        value: roleList,
-        inline: false
-      });
+    const channels = await syncRoleChannels(guild, role);
+    const info = describeChannelChange(channels, updated, !hasRole);
     
-    await interaction.editReply({ embeds: [updatedEmbed], components: buttons });
+    // Update the button styles and role list
+    await interaction.editReply(buildCategoryRolesView(updated, categoryName, { page, info }));
     
   } catch (error) {
+    console.error(`Error toggling ${roleName} for ${interaction.user.tag}:`, error);
+    audit("role_toggled", {
+      userId: interaction.user.id,
+      outcome: "failure",
+      role: roleName,
+      action: hasRole ? "remove" : "add",
+      error: error.message
+    });
+    countDiscordError("role_toggle");
     if (interaction.deferred) {
-      await interaction.editReply({ content: "Failed to update role." });
+      await interaction.editReply({ content: say("roles.updateFailed") });
     } else {
-      await interaction.reply({ content: "Failed to update role.", ephemeral: true });
+      await interaction.reply({ content: say("roles.updateFailed"), ephemeral: true });
     }
   }
 }
 
 async function completeSetup(interaction) {
   const userData = pendingUsers.get(interaction.user.id);
+  const say = translator(interaction.user.id);
   
+  if (!userData && memberRegistry.get(interaction.user.id)?.completedAt) {
+    await saveProfileRoles(interaction);
+    return;
+  }
   if (!userData) {
     if (interaction.deferred || interaction.replied) {
-      await interaction.editReply({ content: "Setup data not found.", components: [] });
+      await interaction.editReply({ content: say("complete.notFound"), components: [] });
     } else {
-      await interaction.reply({ content: "Setup data not found.", ephemeral: true });
+      await interaction.reply({ content: say("complete.notFound"), ephemeral: true });
     }
     return;
   }
   
+  // Get member from guild (interaction.member is null in DMs)
+  const guild = currentGuild();
+  const member = await guild.members.fetch(interaction.user.id);
+  
+  const problems = checkSelection(
+    config.selectionRules,
+    config.roleCategories,
+    ruleHeldRoles(member),
+    // With a single category the one picked must meet its minimum even if nothing is selected yet
+    config.selectionRules.multipleCategories ? [] : userData.categories || [],
+    say.rule
+  );
+  if (problems.length > 0) {
+    audit("setup_completed", { userId: interaction.user.id, outcome: "blocked", reasons: problems });
+    await showSelectionProblems(interaction, member, problems);
+    return;
+  }
+  
   console.log(`Setup completed: ${interaction.user.tag} - ${userData.fullName} - ${userData.studentEmail}`);
   
-  // Get member from guild and remove base role so they can message anywhere
+  // Remove base role so they can message anywhere
+  let chosenRoles = [];
   try {
-    const guild = client.guilds.cache.get(GUILD_ID);
-    const member = await guild.members.fetch(interaction.user.id);
-    const baseRole = guild.roles.cache.find(r => r.name === BASE_ROLE);
+    const baseRole = guild.roles.cache.find(r => r.name === config.baseRole);
     
     if (baseRole && member.roles.cache.has(baseRole.id)) {
       await member.roles.remove(baseRole);
-      console.log(`Removed ${BASE_ROLE} role from ${member.user.tag} - can now message anywhere`);
+      console.log(`Removed ${config.baseRole} role from ${member.user.tag} - can now message anywhere`);
     }
+    
+    chosenRoles = selectableRoleNames(member);
   } catch (error) {
     console.error("Error removing base role:", error);
+    audit("base_role_removed", { userId: interaction.user.id, outcome: "failure", error: error.message });
+    countDiscordError("complete_setup");
   }
   
+  updateRegistry(interaction.user.id, {
+    tag: interaction.user.tag,
+    fullName: userData.fullName,
+    email: userData.studentEmail,
+    category: categoriesHeld(config.roleCategories, chosenRoles).join(", ") || null,
+    roles: chosenRoles,
+    completedAt: new Date().toISOString()
+  });
   pendingUsers.delete(interaction.user.id);
+  onboardingReminders.delete(interaction.user.id);
+  audit("setup_completed", {
+    userId: interaction.user.id,
+    outcome: "success",
+    name: userData.fullName,
+    email: userData.studentEmail,
+    roles: chosenRoles
+  });
+  metrics.setupsCompleted.inc();
+  
+  if (config.email.welcomeOnComplete) {
+    // Fire and forget; a mail hiccup shouldn't hold up the Discord reply
+    sendTemplatedEmail(userData.studentEmail, "welcome", {
+      name: userData.fullName,
+      serverName: currentGuild()?.name || config.email.brand,
+      roles: chosenRoles.join(", ")
+    }, { language: say.language });
+  }
   
   const embed = new EmbedBuilder()
-    .setTitle("Setup Complete")
-    .setDescription(`Welcome ${userData.fullName}! Your profile has been created and you can now access all channels.`)
+    .setTitle(say("complete.title"))
+    .setDescription(say("complete.body", { name: userData.fullName }))
     .setColor(0x00FF00);
   
   if (interaction.deferred || interaction.replied) {
@@ -998,7 +2115,7 @@ async function completeSetup(interaction) {
   
   // Try to delete any fallback channel message (if DM failed)
   try {
-    const channel = interaction.guild?.channels?.cache?.get(ROLE_CHANNEL_ID);
+    const channel = interaction.guild?.channels?.cache?.get(guildContext().roleChannelId);
     if (channel) {
       const messages = await channel.messages.fetch({ limit: 10 });
       const userPrompt = messages.find(m => 
@@ -1013,46 +2130,1758 @@ async function completeSetup(interaction) {
   }
 }
 
-// ====== ADMIN COMMANDS ======
-client.on("messageCreate", async (message) => {
-  if (message.author.bot) return;
-  if (!message.content.startsWith("!")) return;
-  
-  const command = message.content.slice(1).toLowerCase();
-  
-  if (command === "check-roles" && message.member.permissions.has(PermissionsBitField.Flags.ManageRoles)) {
-    await checkExistingRoles(message.guild);
-    await message.reply(`Found ${availableRoles.size} available roles.`);
-  } else if (command === "fix-permissions" && message.member.permissions.has(PermissionsBitField.Flags.ManageRoles)) {
-    await updateChannelPermissions(message.guild);
-    await message.reply("Updated channel permissions - Newcomers now blocked from all channels except welcome areas.");
-  } else if (command === "setup-welcome" && message.member.permissions.has(PermissionsBitField.Flags.ManageRoles)) {
-    await ensureWelcomeChannel(message.guild);
-    await message.reply("Welcome channel created/updated for new members.");
-  } else if (command === "test-email" && message.member.permissions.has(PermissionsBitField.Flags.ManageRoles)) {
-    // Test email functionality
-    const testCode = generateVerificationCode();
-    const emailSent = await sendVerificationEmail(SMTP_USER, testCode, "Test User");
-    await message.reply(emailSent ? `✅ Test email sent with code: ${testCode}` : "❌ Email test failed");
-  } else if (command === "cleanup-pending" && message.member.permissions.has(PermissionsBitField.Flags.ManageRoles)) {
-    // Clean up expired verification codes
-    const now = Date.now();
-    let cleaned = 0;
-    for (const [userId, verification] of verificationCodes.entries()) {
-      if (now > verification.expires) {
-        verificationCodes.delete(userId);
-        pendingUsers.delete(userId);
-        cleaned++;
-      }
-    }
-    await message.reply(`🧹 Cleaned up ${cleaned} expired verification sessions.`);
-  }
-});
+// ====== ROLE APPROVALS ======
+// Roles in config.approvals.roles are requested instead of toggled: the request is
+// posted to the review channel and a listed head (or anyone with Manage Roles) decides.
+function needsApproval(roleName) {
+  return Object.hasOwn(config.approvals.roles, roleName);
+}
 
-// ====== ERROR HANDLING ======
-client.on("error", console.error);
+// "deciding" while a head's approve/deny is in progress; still open, but not decidable again
+const OPEN_REQUEST_STATUSES = ["pending", "deciding"];
+
+function findPendingRoleRequest(userId, roleName) {
+  return roleRequests.find(r => r.userId === userId && r.role === roleName && OPEN_REQUEST_STATUSES.includes(r.status));
+}
+
+function pendingRequestedRoles(userId) {
+  return roleRequests.filter(r => r.userId === userId && OPEN_REQUEST_STATUSES.includes(r.status)).map(([, r]) => r.role);
+}
+
+// Marks a pending request as being decided, synchronously so a second click can't pass
+// the pending check while the first is still awaiting Discord; null if it isn't pending
+function claimRoleRequest(requestId) {
+  const request = roleRequests.get(requestId);
+  if (!request || request.status !== "pending") return null;
+  const claimed = { ...request, status: "deciding" };
+  roleRequests.set(requestId, claimed);
+  return claimed;
+}
+
+// Puts a claimed request back when the decision couldn't be carried out
+function releaseRoleRequest(requestId) {
+  const request = roleRequests.get(requestId);
+  if (request?.status === "deciding") roleRequests.set(requestId, { ...request, status: "pending" });
+}
+
+function buildRoleRequestEmbed(request) {
+  const colors = { pending: 0xFEE75C, approved: 0x57F287, denied: 0xED4245, withdrawn: 0x99AAB5 };
+  const embed = new EmbedBuilder()
+    .setTitle(`Role Request: ${request.role}`)
+    .setColor(colors[request.status] ?? 0x5865F2)
+    .addFields(
+      { name: "Member", value: `<@${request.userId}>\n${request.tag} (${request.userId})`, inline: true },
+      { name: "Name", value: request.fullName || "—", inline: true },
+      { name: "Email", value: request.email || "—", inline: true },
+      { name: "Approvers", value: (config.approvals.roles[request.role] || []).join(", ") || "Manage Roles", inline: false }
+    )
+    .setTimestamp(new Date(request.requestedAt));
+  if (!OPEN_REQUEST_STATUSES.includes(request.status)) {
+    const label = request.status[0].toUpperCase() + request.status.slice(1);
+    embed.addFields({
+      name: "Decision",
+      value: `${label} by ${request.decidedBy}${request.reason ? `\nReason: ${request.reason}` : ""}`,
+      inline: false
+    });
+  }
+  return embed;
+}
+
+// Returns the stored request, or null when the review channel is unavailable
+async function createRoleRequest(member, roleName) {
+  const channel = findTextChannel(member.guild, config.approvals.reviewChannel);
+  if (!channel) {
+    console.log(`Role request for ${roleName} by ${member.user.tag} dropped: review channel not found`);
+    audit("role_requested", { userId: member.id, outcome: "failure", role: roleName, reason: "review channel not found" });
+    return null;
+  }
+  
+  const record = memberRegistry.get(member.id) || {};
+  const pending = pendingUsers.get(member.id) || {};
+  const request = {
+    id: crypto.randomBytes(6).toString("hex"),
+    userId: member.id,
+    tag: member.user.tag,
+    fullName: pending.fullName || record.fullName || null,
+    email: record.email || pending.studentEmail || null,
+    role: roleName,
+    status: "pending",
+    requestedAt: new Date().toISOString()
+  };
+  
+  const buttons = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`rolereq_approve_${request.id}`)
+        .setLabel("Approve")
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId(`rolereq_deny_${request.id}`)
+        .setLabel("Deny")
+        .setStyle(ButtonStyle.Danger)
+    );
+  
+  try {
+    const message = await channel.send({ embeds: [buildRoleRequestEmbed(request)], components: [buttons] });
+    request.reviewMessage = { channelId: channel.id, messageId: message.id };
+  } catch (error) {
+    console.error("Error posting role request:", error);
+    countDiscordError("role_request");
+    return null;
+  }
+  
+  roleRequests.set(request.id, request);
+  console.log(`Role request ${request.id}: ${member.user.tag} asked for ${roleName}`);
+  audit("role_requested", { userId: member.id, outcome: "info", role: roleName, requestId: request.id });
+  return request;
+}
+
+// Records the outcome and updates the review message (buttons removed); decidedBy is a Discord user
+async function closeRoleRequest(guild, request, { status, decidedBy, reason = null }) {
+  const closed = {
+    ...request,
+    status,
+    decidedBy: decidedBy.tag,
+    decidedById: decidedBy.id,
+    reason,
+    decidedAt: new Date().toISOString()
+  };
+  roleRequests.set(request.id, closed);
+  
+  if (request.reviewMessage) {
+    try {
+      const channel = await guild.channels.fetch(request.reviewMessage.channelId);
+      const message = await channel.messages.fetch(request.reviewMessage.messageId);
+      await message.edit({ embeds: [buildRoleRequestEmbed(closed)], components: [] });
+    } catch (error) {
+      console.error(`Error updating review message for role request ${request.id}:`, error.message);
+    }
+  }
+  
+  audit("role_request_decided", {
+    userId: request.userId,
+    actorId: decidedBy.id,
+    actorTag: decidedBy.tag,
+    outcome: status === "approved" ? "success" : "info",
+    role: request.role,
+    decision: status,
+    requestId: request.id,
+    reason
+  });
+  return closed;
+}
+
+function canApproveRole(interaction, roleName) {
+  if (interaction.memberPermissions?.has(PermissionsBitField.Flags.ManageRoles)) return true;
+  const approvers = config.approvals.roles[roleName] || [];
+  return Boolean(interaction.member?.roles.cache.some(r => approvers.includes(r.name)));
+}
+
+async function handleRoleRequestButton(interaction) {
+  const [, action, requestId] = interaction.customId.split("_");
+  const request = roleRequests.get(requestId);
+  
+  if (!request || request.status !== "pending") {
+    await interaction.reply({ content: "This request has already been handled.", ephemeral: true });
+    return;
+  }
+  if (!interaction.inGuild() || !canApproveRole(interaction, request.role)) {
+    await interaction.reply({ content: `Only ${(config.approvals.roles[request.role] || ["moderators"]).join(" or ")} can decide this request.`, ephemeral: true });
+    return;
+  }
+  
+  if (action === "deny") {
+    const modal = new ModalBuilder()
+      .setCustomId(`rolereqdeny_${request.id}`)
+      .setTitle(`Deny ${request.role}`.slice(0, 45));
+    const reasonInput = new TextInputBuilder()
+      .setCustomId("reason")
+      .setLabel("Reason (sent to the member)")
+      .setStyle(TextInputStyle.Paragraph)
+      .setRequired(false)
+      .setMaxLength(500);
+    modal.addComponents(new ActionRowBuilder().addComponents(reasonInput));
+    await interaction.showModal(modal);
+    return;
+  }
+  
+  const claimed = claimRoleRequest(request.id);
+  if (!claimed) {
+    await interaction.reply({ content: "This request has already been handled.", ephemeral: true });
+    return;
+  }
+  try {
+    await interaction.deferReply({ ephemeral: true });
+    const result = await approveRoleRequest(interaction.guild, claimed, interaction.user);
+    await interaction.editReply({ content: result });
+  } finally {
+    releaseRoleRequest(request.id); // No-op once the request was closed
+  }
+}
+
+async function handleRoleDenyModal(interaction) {
+  const requestId = interaction.customId.slice("rolereqdeny_".length);
+  const current = roleRequests.get(requestId);
+  if (current && !canApproveRole(interaction, current.role)) {
+    await interaction.reply({ content: "You can't decide this request.", ephemeral: true });
+    return;
+  }
+  const request = claimRoleRequest(requestId);
+  if (!request) {
+    await interaction.reply({ content: "This request has already been handled.", ephemeral: true });
+    return;
+  }
+  
+  const reason = interaction.fields.getTextInputValue("reason").trim() || null;
+  try {
+    await interaction.deferReply({ ephemeral: true });
+    await closeRoleRequest(interaction.guild, request, { status: "denied", decidedBy: interaction.user, reason });
+  } finally {
+    releaseRoleRequest(requestId);
+  }
+  
+  const member = await interaction.guild.members.fetch(request.userId).catch(() => null);
+  if (member) {
+    const say = translator(member.id);
+    const embed = new EmbedBuilder()
+      .setTitle(say("approval.deniedTitle"))
+      .setDescription(say("approval.denied", { role: request.role }) + (reason ? `\n\n${say("approval.reason", { reason })}` : ""))
+      .setColor(0xED4245);
+    await member.send({ embeds: [embed] }).catch(() => {});
+  }
+  await interaction.editReply({ content: `❌ Denied ${request.role} for <@${request.userId}>.` });
+}
+
+// Grants the role, closes the request and tells the member; returns a status line
+async function approveRoleRequest(guild, request, approver) {
+  const member = await guild.members.fetch(request.userId).catch(() => null);
+  if (!member) {
+    await closeRoleRequest(guild, request, { status: "withdrawn", decidedBy: approver, reason: "Member left the server" });
+    return "The member has left the server; request closed.";
+  }
+  const role = guild.roles.cache.find(r => r.name === request.role);
+  if (!role) return `❌ Role "${request.role}" not found.`;
+  
+  let channels = [];
+  try {
+    await member.roles.add(role);
+    channels = await syncRoleChannels(guild, role);
+  } catch (error) {
+    console.error(`Error granting ${request.role} to ${member.user.tag}:`, error);
+    countDiscordError("role_request");
+    return `❌ Couldn't grant ${request.role}. Check that my role is above it.`;
+  }
+  await closeRoleRequest(guild, request, { status: "approved", decidedBy: approver });
+  metrics.roleToggles.inc({ role: request.role, action: "added" });
+  
+  // Keep the registry's role list current for members who already finished setup
+  if (memberRegistry.get(member.id)?.completedAt) updateRegistry(member.id, { roles: selectableRoleNames(member) });
+  
+  const say = translator(member.id);
+  const embed = new EmbedBuilder()
+    .setTitle(say("approval.approvedTitle"))
+    .setDescription(say("approval.approved", { role: request.role, approver: approver.tag }))
+    .setColor(0x57F287);
+  const unlocked = channels.filter(channel => channel.type !== 4);
+  if (unlocked.length > 0) {
+    embed.addFields({ name: say("approval.channelsUnlocked"), value: unlocked.slice(0, 20).map(channel => `#${channel.name}`).join(", "), inline: false });
+  }
+  await member.send({ embeds: [embed] }).catch(() => {});
+  
+  const email = memberRegistry.get(member.id)?.email || request.email;
+  if (config.approvals.email && email) {
+    sendTemplatedEmail(email, "role-approved", {
+      name: request.fullName || member.displayName,
+      role: request.role,
+      serverName: guild.name,
+      approver: approver.tag
+    }, { language: say.language });
+  }
+  return `✅ Approved ${request.role} for <@${member.id}>.`;
+}
+
+// ====== NICKNAMES ======
+// config.nicknames: names are tidied and checked when entered and stored in the
+// registry; the nickname is rendered from the template and follows role changes
+function cleanName(raw, say = nameText) {
+  const name = normalizeName(raw, { casing: config.nicknames.casing });
+  return { name, problem: checkName(name, config.nicknames, say) };
+}
+
+function nicknameFor(member, name) {
+  const role = primaryRoleOf(config.roleCatalog, selectableRoleNames(member));
+  return renderNickname(config.nicknames.template, { name: normalizeName(name, { casing: config.nicknames.casing }), role });
+}
+
+// Sets the policy nickname and never throws. Resolves { status, nickname, reason? } with
+// status "updated", "unchanged", "unmanageable" (owner or above the bot) or "failed".
+// Single changes are audited; /reapply-nicknames passes quiet and audits a summary.
+async function applyNicknamePolicy(member, name, { dryRun = false, quiet = false, trigger = null } = {}) {
+  const nickname = nicknameFor(member, name);
+  if (member.nickname === nickname) return { status: "unchanged", nickname };
+  
+  let result;
+  const blocker = nicknameBlocker(member);
+  if (blocker) {
+    result = { status: "unmanageable", nickname, reason: blocker };
+  } else if (dryRun) {
+    result = { status: "updated", nickname };
+  } else {
+    try {
+      await member.setNickname(nickname, "Nickname policy");
+      result = { status: "updated", nickname };
+    } catch (error) {
+      countDiscordError("nickname");
+      result = { status: "failed", nickname, reason: error.message };
+    }
+  }
+  
+  if (dryRun || quiet) return result;
+  if (result.status === "updated") {
+    console.log(`Updated nickname for ${member.user.tag} to ${nickname}`);
+  } else {
+    console.log(`Could not set nickname for ${member.user.tag} to ${nickname}: ${result.reason}`);
+  }
+  audit("nickname_applied", {
+    userId: member.id,
+    outcome: { updated: "success", unmanageable: "blocked", failed: "failure" }[result.status],
+    nickname,
+    reason: result.reason,
+    trigger
+  });
+  return result;
+}
+
+// Role changes from the picker, approvals or moderators refresh role-based nicknames
+async function refreshNickname(oldMember, newMember) {
+  if (!usesRoles(config.nicknames.template)) return;
+  if (!oldMember.partial && oldMember.roles.cache.equals(newMember.roles.cache)) return;
+  const name = memberRegistry.get(newMember.id)?.fullName;
+  if (name) await applyNicknamePolicy(newMember, name, { trigger: "roles changed" });
+}
+
+client.on("guildMemberUpdate", (oldMember, newMember) => forGuild(newMember.guild.id, () => {
+  refreshNickname(oldMember, newMember).catch(error => console.error("Error refreshing nickname:", error));
+}));
+
+// /reapply-nicknames: renders every registered member's nickname again, e.g. after
+// the template changed. Names that no longer pass the checks are reported, not changed.
+async function reapplyNicknames(guild, { dryRun = false } = {}) {
+  const members = await guild.members.fetch();
+  const result = { updated: [], unchanged: 0, unmanageable: [], failed: [], invalid: [] };
+  
+  for (const [userId, record] of memberRegistry.entries()) {
+    const member = members.get(userId);
+    if (!member || !record.fullName) continue;
+    const { name, problem } = cleanName(record.fullName);
+    if (problem) {
+      result.invalid.push({ member, name: record.fullName, reason: problem });
+      continue;
+    }
+    const before = member.nickname;
+    const outcome = await applyNicknamePolicy(member, name, { dryRun, quiet: true });
+    if (outcome.status === "unchanged") result.unchanged++;
+    else result[outcome.status].push({ member, before, ...outcome });
+    if (!dryRun && name !== record.fullName) updateRegistry(userId, { fullName: name });
+  }
+  
+  if (!dryRun) {
+    audit("nicknames_reapplied", {
+      outcome: result.failed.length > 0 ? "failure" : "success",
+      updated: result.updated.length,
+      unmanageable: result.unmanageable.length,
+      failed: result.failed.length,
+      invalid: result.invalid.length
+    });
+  }
+  return result;
+}
+
+function formatNicknameResult(result, dryRun) {
+  const summary = [
+    dryRun
+      ? `🔍 Dry run: ${result.updated.length} nickname(s) would change, ${result.unchanged} already match.`
+      : `🏷️ Updated ${result.updated.length} nickname(s), ${result.unchanged} already matched.`,
+    result.unmanageable.length > 0 ? `⚠️ ${result.unmanageable.length} member(s) I can't rename.` : null,
+    result.failed.length > 0 ? `❌ ${result.failed.length} failed.` : null,
+    result.invalid.length > 0 ? `🚫 ${result.invalid.length} registered name(s) fail the name checks.` : null
+  ].filter(Boolean).join("\n");
+  const lines = [
+    ...result.updated.map(r => `~ ${r.member.user.tag}: ${r.before ?? "(no nickname)"} → ${r.nickname}`),
+    ...result.unmanageable.map(r => `! ${r.member.user.tag}: can't manage (${r.reason}), wanted ${r.nickname}`),
+    ...result.failed.map(r => `x ${r.member.user.tag}: ${r.reason}`),
+    ...result.invalid.map(r => `? ${r.member.user.tag}: "${r.name}" - ${r.reason}`)
+  ];
+  return buildReport(summary, lines, "nicknames.txt");
+}
+
+// ====== MEMBER PROFILE ======
+// /profile: members who finished setup can review and edit their name, email and roles
+
+function buildProfileView(member) {
+  const record = memberRegistry.get(member.id) || {};
+  const roles = selectableRoleNames(member);
+  const say = translator(member.id);
+  const embed = new EmbedBuilder()
+    .setTitle(say("profile.title"))
+    .setColor(0x5865F2)
+    .addFields(
+      { name: say("profile.name"), value: record.fullName || member.displayName, inline: true },
+      { name: say("profile.email"), value: record.email || say("profile.notVerified"), inline: true },
+      { name: say("profile.category"), value: record.category || "—", inline: true },
+      { name: say("profile.roles"), value: roles.length > 0 ? roles.join(", ") : say("profile.noRoles"), inline: false }
+    );
+  const row = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId("profile_name")
+        .setLabel(say("profile.editNickname"))
+        .setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder()
+        .setCustomId("profile_roles")
+        .setLabel(say("profile.changeRoles"))
+        .setStyle(ButtonStyle.Primary),
+      new ButtonBuilder()
+        .setCustomId("profile_email")
+        .setLabel(say("profile.changeEmail"))
+        .setStyle(ButtonStyle.Secondary)
+    );
+  return { embeds: [embed], components: [row] };
+}
+
+async function showNicknameModal(interaction) {
+  const current = memberRegistry.get(interaction.user.id)?.fullName || "";
+  const say = translator(interaction.user.id);
+  const modal = new ModalBuilder()
+    .setCustomId(`profilename_${interaction.user.id}`)
+    .setTitle(say("profile.editNickname").slice(0, 45));
+  
+  const nameInput = new TextInputBuilder()
+    .setCustomId("full_name")
+    .setLabel(say("info.name"))
+    .setStyle(TextInputStyle.Short)
+    .setRequired(true)
+    .setMaxLength(NICKNAME_MAX_LENGTH)
+    .setValue(current.slice(0, NICKNAME_MAX_LENGTH));
+  
+  modal.addComponents(new ActionRowBuilder().addComponents(nameInput));
+  await interaction.showModal(modal);
+}
+
+async function updateNicknameFromProfile(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+  const say = translator(interaction.user.id);
+  const { name: fullName, problem } = cleanName(interaction.fields.getTextInputValue("full_name"), say.name);
+  if (problem) {
+    await interaction.editReply({ content: problem });
+    return;
+  }
+  
+  const guild = currentGuild();
+  const member = await guild.members.fetch(interaction.user.id);
+  const previous = memberRegistry.get(interaction.user.id)?.fullName || member.displayName;
+  const result = await applyNicknamePolicy(member, fullName, { trigger: "profile" });
+  if (result.status === "unmanageable" || result.status === "failed") {
+    audit("profile_updated", { userId: member.id, outcome: "failure", field: "nickname", error: result.reason });
+    await interaction.editReply({ content: say("profile.nicknameFailed") });
+    return;
+  }
+  
+  updateRegistry(member.id, { fullName });
+  console.log(`Name for ${member.user.tag} changed from ${previous} to ${fullName}`);
+  audit("profile_updated", { userId: member.id, outcome: "success", field: "nickname", from: previous, to: fullName });
+  await interaction.editReply({ content: say("profile.nicknameUpdated", { nickname: result.nickname }) });
+}
+
+async function showEmailChangeModal(interaction) {
+  const say = translator(interaction.user.id);
+  const modal = new ModalBuilder()
+    .setCustomId(`profileemail_${interaction.user.id}`)
+    .setTitle(say("profile.changeEmail").slice(0, 45));
+  
+  const emailInput = new TextInputBuilder()
+    .setCustomId("student_email")
+    .setLabel(say("profile.newEmail"))
+    .setStyle(TextInputStyle.Short)
+    .setRequired(true)
+    .setPlaceholder(`yourname@${config.emailDomains[0]}`);
+  
+  modal.addComponents(new ActionRowBuilder().addComponents(emailInput));
+  await interaction.showModal(modal);
+}
+
+// Sends a code to the new address; the email only changes once it is verified
+async function startEmailChange(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+  const studentEmail = interaction.fields.getTextInputValue("student_email").trim();
+  const record = memberRegistry.get(interaction.user.id);
+  const say = translator(interaction.user.id);
+  
+  const emailDomain = studentEmail.toLowerCase().split("@")[1];
+  if (!config.emailDomains.includes(emailDomain)) {
+    await interaction.editReply({
+      content: say("info.wrongDomain", { domains: config.emailDomains.map(d => `@${d}`).join(` ${say("info.or")} `) })
+    });
+    return;
+  }
+  if (record?.email?.toLowerCase() === studentEmail.toLowerCase()) {
+    await interaction.editReply({ content: say("profile.sameEmail") });
+    return;
+  }
+  if (findEmailBinding(studentEmail, interaction.user.id)) {
+    audit("profile_updated", { userId: interaction.user.id, outcome: "blocked", field: "email", to: studentEmail, reason: "already bound" });
+    await interaction.editReply({ content: say("profile.emailTaken") });
+    return;
+  }
+  
+  const result = await issueVerificationCode(interaction.user, studentEmail, record?.fullName || interaction.user.username);
+  if (!result.ok) {
+    await interaction.editReply({ content: result.message });
+    return;
+  }
+  
+  const embed = new EmbedBuilder()
+    .setTitle(say("profile.verifyNewTitle"))
+    .setDescription(say(record?.email ? "profile.verifyNew" : "profile.verifyFirst", {
+      email: studentEmail,
+      current: record?.email,
+      minutes: Math.round(CODE_TTL_MS / 60000)
+    }))
+    .setColor(0x5865F2);
+  const row = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId("verify_email")
+        .setLabel(say("verify.verifyButton"))
+        .setStyle(ButtonStyle.Primary),
+      new ButtonBuilder()
+        .setCustomId("resend_code")
+        .setLabel(say("verify.resendButton"))
+        .setStyle(ButtonStyle.Secondary)
+    );
+  await interaction.editReply({ embeds: [embed], components: [row] });
+}
+
+// "Save Roles" from the picker when editing from /profile
+async function saveProfileRoles(interaction) {
+  const guild = currentGuild();
+  const member = await guild.members.fetch(interaction.user.id);
+  const before = memberRegistry.get(member.id)?.roles || [];
+  const roles = selectableRoleNames(member);
+  const say = translator(member.id);
+  const problems = checkSelection(
+    config.selectionRules,
+    config.roleCategories,
+    ruleHeldRoles(member),
+    [],
+    say.rule
+  );
+  if (problems.length > 0) {
+    await showSelectionProblems(interaction, member, problems);
+    return;
+  }
+  updateRegistry(member.id, { roles, category: categoriesHeld(config.roleCategories, roles).join(", ") || null });
+  audit("profile_updated", { userId: member.id, outcome: "success", field: "roles", from: before, to: roles });
+  
+  const embed = new EmbedBuilder()
+    .setTitle(say("profile.rolesUpdatedTitle"))
+    .setDescription(roles.length > 0 ? say("profile.rolesUpdated", { roles: roles.join(", ") }) : say("profile.noRolesSelected"))
+    .setColor(0x00FF00);
+  await interaction.editReply({ embeds: [embed], components: [] });
+}
+
+// ====== ONBOARDING REMINDERS ======
+// Members still holding the base role get a reminder at each config.reminders.afterHours
+// mark (counted from joining, or from a /reset), and optionally a kick after kickAfterDays.
+// Progress is kept in storage, so restarts neither repeat nor skip reminders.
+// Runs fn once per configured guild (in its scope) and returns { guildId: result }
+async function forEachGuild(fn) {
+  const results = {};
+  for (const context of guildContexts.values()) {
+    results[context.id] = await inGuildScope(context, fn);
+  }
+  return results;
+}
+
+const scheduler = createScheduler({
+  storage,
+  jobs: [
+    {
+      name: "purge-expired-codes",
+      everyMs: 5 * 60 * 1000,
+      run: () => forEachGuild(async () => {
+        const purged = cleanupExpiredSessions({ dropPending: false });
+        if (purged > 0) console.log(`Purged ${purged} expired verification code(s) in guild ${guildContext().id}`);
+        return { purged };
+      })
+    },
+    {
+      name: "onboarding-reminders",
+      // Often enough for the guild that checks most frequently
+      everyMs: () => Math.min(...[...guildContexts.values()].map(c => c.config.reminders.checkMinutes)) * 60 * 1000,
+      run: () => forEachGuild(async () => {
+        const guild = currentGuild();
+        return guild ? runOnboardingReminders(guild) : null;
+      })
+    }
+  ]
+});
+
+async function runOnboardingReminders(guild) {
+  const settings = config.reminders;
+  const result = { reminded: 0, kicked: 0, failed: 0 };
+  const baseRole = guild.roles.cache.find(r => r.name === config.baseRole);
+  if (!settings.enabled || !baseRole) return result;
+  
+  const members = await guild.members.fetch();
+  const now = Date.now();
+  
+  for (const member of members.values()) {
+    if (member.user.bot || !member.roles.cache.has(baseRole.id)) continue;
+    if (memberRegistry.get(member.id)?.completedAt) continue;
+    
+    let state = onboardingReminders.get(member.id);
+    if (!state?.since) {
+      // The clock starts when tracking does, not at the join date, so members who joined
+      // before reminders were enabled get the full schedule instead of an instant kick
+      state = { sent: 0, ...state, since: new Date(now).toISOString() };
+      onboardingReminders.set(member.id, state);
+    }
+    const hoursWaiting = (now - Date.parse(state.since)) / (60 * 60 * 1000);
+    
+    // Kick only once the last reminder actually reached them
+    const warned = settings.afterHours.length === 0 || (state.sent >= settings.afterHours.length && Boolean(state.via));
+    if (settings.kickAfterDays > 0 && warned && hoursWaiting >= settings.kickAfterDays * 24) {
+      if (await kickUnfinishedMember(member, settings.kickAfterDays)) {
+        onboardingReminders.delete(member.id);
+        result.kicked++;
+      } else {
+        result.failed++;
+      }
+      continue;
+    }
+    
+    // Only the latest due reminder is sent, so a long outage doesn't cause a burst
+    const due = settings.afterHours.filter(hours => hoursWaiting >= hours).length;
+    if (due <= state.sent) continue;
+    
+    const via = await sendSetupReminder(member, due, settings.afterHours.length);
+    onboardingReminders.set(member.id, { ...state, sent: due, lastSentAt: new Date().toISOString(), via });
+    if (via) result.reminded++;
+    else result.failed++;
+  }
+  
+  // Forget members who left or finished
+  for (const userId of onboardingReminders.keys()) {
+    const member = members.get(userId);
+    if (!member || !member.roles.cache.has(baseRole.id)) onboardingReminders.delete(userId);
+  }
+  
+  if (result.reminded + result.kicked + result.failed > 0) {
+    console.log(`Onboarding reminders: ${result.reminded} sent, ${result.kicked} kicked, ${result.failed} failed`);
+  }
+  return result;
+}
+
+// DM first, channel mention when DMs are closed; returns "dm", "channel" or null
+async function sendSetupReminder(member, number, total) {
+  const pending = pendingUsers.get(member.id);
+  const say = translator(member.id);
+  const setupUrl = `https://discord.com/channels/${member.guild.id}/${guildContext().roleChannelId}`;
+  const button = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(setupCustomId(member.id))
+        .setLabel(say("welcome.start"))
+        .setStyle(ButtonStyle.Primary)
+    );
+  // Verified members only have roles left to pick, so the DM can skip straight there
+  const dmButton = getOnboardingStage(member.id) === "roles"
+    ? new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId(proceedCustomId())
+          .setLabel(say("info.selectCategory"))
+          .setStyle(ButtonStyle.Primary)
+      )
+    : button;
+  
+  if (config.reminders.email && pending?.studentEmail) {
+    sendTemplatedEmail(pending.studentEmail, "reminder", {
+      name: pending.fullName || member.user.username,
+      serverName: member.guild.name,
+      setupUrl
+    }, { language: say.language });
+  }
+  
+  let via = null;
+  try {
+    const embed = new EmbedBuilder()
+      .setTitle(say("reminder.title"))
+      .setDescription(say("reminder.body", { name: member.user.username, server: member.guild.name }))
+      .setColor(0xFEE75C)
+      .setFooter({ text: say("reminder.footer", { number, total }) });
+    await member.send({ embeds: [embed], components: [dmButton] });
+    via = "dm";
+  } catch (error) {
+    const channel = member.guild.channels.cache.get(guildContext().roleChannelId) ||
+      member.guild.channels.cache.find(c => c.name === config.welcomeChannel);
+    if (channel) {
+      const embed = new EmbedBuilder()
+        .setTitle(say("reminder.title"))
+        .setDescription(say("reminder.channelBody", { member: `${member}` }))
+        .setColor(0xFEE75C);
+      const message = await channel.send({ content: `${member}`, embeds: [embed], components: [button] }).catch(() => null);
+      if (message) {
+        via = "channel";
+        // Removed on completeSetup; otherwise cleared after a day
+        setTimeout(() => {
+          message.delete().catch(() => {});
+        }, 24 * 60 * 60 * 1000).unref();
+      }
+    }
+  }
+  
+  audit("setup_reminder", { userId: member.id, outcome: via ? "success" : "failure", number, via });
+  metrics.reminders.inc({ via: via || "failed" });
+  return via;
+}
+
+async function kickUnfinishedMember(member, days) {
+  if (!member.kickable) {
+    audit("member_kicked", { userId: member.id, outcome: "failure", reason: "not kickable" });
+    return false;
+  }
+  await member.send(translator(member.id)("reminder.kicked", { server: member.guild.name, days })).catch(() => {});
+  try {
+    await member.kick(`Onboarding not completed within ${days} day(s)`);
+  } catch (error) {
+    console.error(`Error kicking ${member.user.tag}:`, error);
+    countDiscordError("kick");
+    audit("member_kicked", { userId: member.id, outcome: "failure", error: error.message });
+    return false;
+  }
+  pendingUsers.delete(member.id);
+  verificationCodes.delete(member.id);
+  console.log(`Kicked ${member.user.tag}: setup not completed within ${days} day(s)`);
+  audit("member_kicked", { userId: member.id, outcome: "success", tag: member.user.tag, days });
+  return true;
+}
+
+// ====== ADMIN COMMANDS ======
+// Registered as guild slash commands on ready. With LEGACY_PREFIX_COMMANDS=true the
+// same definitions also answer `!name args` messages. Commands return a reply payload.
+// The scheduled purge keeps pending data so Resend Code still works afterwards
+function cleanupExpiredSessions({ dropPending = true } = {}) {
+  const now = Date.now();
+  let cleaned = 0;
+  for (const [userId, verification] of verificationCodes.entries()) {
+    if (now > verification.expires) {
+      verificationCodes.delete(userId);
+      if (dropPending) pendingUsers.delete(userId);
+      cleaned++;
+    }
+  }
+  return cleaned;
+}
+
+// Summary for /fix-permissions; the full diff goes in an attachment when it is long
+function formatChannelPolicyResult(result, dryRun) {
+  const lines = [];
+  if (result.edits === 0) {
+    lines.push("✅ Channel overwrites already match the policy.");
+  } else if (dryRun) {
+    lines.push(`🔍 Dry run: ${result.edits} overwrite edit(s) across ${result.channels} channel(s) would be applied.`);
+  } else {
+    lines.push(`🔒 Applied ${result.applied}/${result.edits} overwrite edit(s) across ${result.channels} channel(s).`);
+    if (result.failures.length > 0) {
+      lines.push(`❌ ${result.failures.length} failed:`);
+      lines.push(...result.failures.slice(0, 10).map(f => `• ${f.channel} (${f.target}): ${f.error}`));
+      if (result.failures.length > 10) lines.push(`…and ${result.failures.length - 10} more (see logs)`);
+    }
+  }
+  if (result.problems.length > 0) lines.push(`⚠️ Policy problems: ${result.problems.join("; ")}`);
+
+  if (result.edits === 0) return lines.join("\n");
+  const inline = `${lines.join("\n")}\n\`\`\`\n${result.diff}\n\`\`\``;
+  if (inline.length <= 1900) return inline;
+  const file = new AttachmentBuilder(Buffer.from(result.diff, "utf8"), { name: "channel-policy-diff.txt" });
+  return { content: lines.join("\n").slice(0, 1900), files: [file] };
+}
+
+// /who-can-see output: the policy rule, then members grouped by what grants them access
+function formatChannelAccess(channel, policy, members) {
+  const groups = new Map();
+  for (const member of members.values()) {
+    const reason = accessReason(channel, member);
+    if (!reason) continue;
+    if (!groups.has(reason)) groups.set(reason, []);
+    groups.get(reason).push(member);
+  }
+  const total = [...groups.values()].reduce((sum, list) => sum + list.length, 0);
+
+  const header = [
+    `**${channelLabel(channel)}**: ${total} of ${members.size} member(s) can see it`,
+    ...describeChannelRule(policy, channel).map(line => `> ${line}`)
+  ];
+  const sorted = [...groups.entries()].sort((a, b) => b[1].length - a[1].length);
+  const short = sorted.map(([reason, list]) => {
+    const names = list.slice(0, 10).map(m => m.user.tag).join(", ");
+    return `• **${reason}** (${list.length}): ${names}${list.length > 10 ? ", …" : ""}`;
+  });
+  const inline = [...header, ...short].join("\n");
+  if (inline.length <= 1900) return inline;
+
+  const full = sorted.map(([reason, list]) => `${reason} (${list.length})\n${list.map(m => `  ${m.user.tag} (${m.id})`).join("\n")}`);
+  const file = new AttachmentBuilder(Buffer.from(full.join("\n\n"), "utf8"), { name: `who-can-see-${channel.name}.txt` });
+  return { content: header.join("\n").slice(0, 1900), files: [file] };
+}
+
+const ADMIN_COMMANDS = [
+  {
+    name: "check-roles",
+    description: "Re-scan the server for roles from the role catalog",
+    run: async ({ guild }) => {
+      await checkExistingRoles(guild);
+      return `Found ${availableRoles.size} available roles.`;
+    }
+  },
+  {
+    name: "fix-permissions",
+    description: "Apply the channel access policy (or preview the changes with dry-run)",
+    options: [
+      { name: "dry-run", type: "boolean", description: "Only show what would change" }
+    ],
+    run: async ({ guild, args }) => {
+      const result = await updateChannelPermissions(guild, { dryRun: Boolean(args["dry-run"]) });
+      return formatChannelPolicyResult(result, Boolean(args["dry-run"]));
+    }
+  },
+  {
+    name: "reapply-nicknames",
+    description: "Re-apply the nickname policy to every registered member (or preview it with dry-run)",
+    options: [
+      { name: "dry-run", type: "boolean", description: "Only show what would change" }
+    ],
+    run: async ({ guild, args }) => {
+      const result = await reapplyNicknames(guild, { dryRun: Boolean(args["dry-run"]) });
+      return formatNicknameResult(result, Boolean(args["dry-run"]));
+    }
+  },
+  {
+    name: "who-can-see",
+    description: "List who can see a channel and why",
+    options: [
+      { name: "channel", type: "channel", description: "Channel or category", required: true }
+    ],
+    run: async ({ guild, args }) => {
+      const channel = guild.channels.cache.get(args.channel);
+      if (!channel) return "❌ Channel not found.";
+      const members = await guild.members.fetch();
+      return formatChannelAccess(channel, currentChannelPolicy(guild), members);
+    }
+  },
+  {
+    name: "setup-welcome",
+    description: "Create or repair the welcome channel for new members",
+    run: async ({ guild }) => {
+      await ensureWelcomeChannel(guild);
+      return "Welcome channel created/updated for new members.";
+    }
+  },
+  {
+    name: "test-email",
+    description: "Send a test verification email",
+    options: [
+      { name: "to", type: "string", description: "Recipient (defaults to the SMTP account)" }
+    ],
+    run: async ({ args }) => {
+      const testCode = generateVerificationCode();
+      const status = await sendVerificationEmail(args.to || MAIL_FROM, testCode, "Test User");
+      if (status === "failed") return "❌ Email test failed";
+      return status === "queued"
+        ? `⏳ Test email queued (${mailTransport.name}) with code: ${testCode}`
+        : `✅ Test email sent (${mailTransport.name}) with code: ${testCode}`;
+    }
+  },
+  {
+    name: "reload-config",
+    description: "Reload this server's role/channel configuration file and re-scan roles",
+    run: async ({ guild }) => {
+      const context = guildContext();
+      const loaded = loadConfig(context.configFile);
+      if (loaded.errors.length > 0) {
+        return buildReport(
+          `❌ ${loaded.file} has ${loaded.errors.length} problem(s); keeping the current configuration.`,
+          loaded.errors,
+          "config-errors.txt"
+        );
+      }
+      // Catalogs first: if one doesn't parse, neither the config nor the messages change
+      try {
+        messages.reload();
+      } catch (error) {
+        return `❌ Message catalog ${error.message}\nKeeping the current configuration and messages.`;
+      }
+      // Only the primary guild's mail settings drive the shared transport
+      const mailChanged = context === primaryGuild &&
+        JSON.stringify(loaded.config.mail) !== JSON.stringify(config.mail);
+      context.config = loaded.config;
+      if (mailChanged) mailTransport = createMailTransport(config.mail, process.env);
+      await checkExistingRoles(guild);
+      const mismatches = findConfigMismatches(config, guild);
+      console.log(`Configuration reloaded from ${loaded.file}`);
+      audit("config_reloaded", { outcome: "info", file: loaded.file, mismatches: mismatches.length });
+      return `✅ Reloaded ${loaded.file}. Found ${availableRoles.size} available roles` +
+        (mismatches.length > 0 ? `, ${mismatches.length} entries don't match the server (see /config-check).` : ".");
+    }
+  },
+  {
+    name: "config-check",
+    description: "List configured roles and channels that don't exist in this server",
+    run: async ({ guild }) => {
+      const mismatches = findConfigMismatches(config, guild);
+      if (mismatches.length === 0) return "✅ Every configured role and channel exists in this server.";
+      return buildReport(`⚠️ ${mismatches.length} config entries don't match this server:`, mismatches, "config-check.txt");
+    }
+  },
+  {
+    name: "import-roster",
+    description: "Import the registration roster CSV (email, roles) and sync verified members",
+    options: [
+      { name: "file", type: "attachment", description: "CSV with email and roles columns", required: true },
+      {
+        name: "mode",
+        type: "string",
+        description: "replace (default) revokes roster roles missing from the file; merge only adds",
+        choices: [
+          { name: "Replace roster", value: "replace" },
+          { name: "Merge into roster", value: "merge" }
+        ]
+      }
+    ],
+    run: async ({ guild, actor, args }) => {
+      if (args.file.size > 1024 * 1024) return "❌ Roster file is larger than 1 MB.";
+      const response = await fetch(args.file.url);
+      if (!response.ok) return `❌ Could not download ${args.file.name} (HTTP ${response.status}).`;
+      
+      const result = await importRoster(guild, await response.text(), { mode: args.mode || "replace", actor });
+      if (!result.imported) return buildReport("❌ Roster not imported:", result.errors, "roster-errors.txt");
+      
+      const summaryText =
+        `✅ Imported ${result.imported} roster emails (${args.mode || "replace"}). ` +
+        `Checked ${result.checked} verified members: ${result.granted} roles granted, ${result.revoked} revoked` +
+        (result.errors.length + result.failures.length > 0
+          ? `, ${result.errors.length} skipped rows, ${result.failures.length} failures.`
+          : ".");
+      return buildReport(summaryText, [...result.errors, ...result.failures], "roster-import.txt");
+    }
+  },
+  {
+    name: "export",
+    description: "Export onboarded members as CSV or JSON",
+    options: [
+      {
+        name: "format",
+        type: "string",
+        description: "File format (default csv)",
+        choices: FORMATS.map(f => ({ name: f.toUpperCase(), value: f }))
+      },
+      {
+        name: "role",
+        type: "string",
+        description: "Only members with this role",
+        autocomplete: (value) => Object.values(config.roleCategories).flat()
+          .filter(r => r.toLowerCase().includes(value.toLowerCase()))
+      },
+      {
+        name: "category",
+        type: "string",
+        description: "Only members who chose this category",
+        autocomplete: (value) => Object.keys(config.roleCategories)
+          .filter(c => c.toLowerCase().includes(value.toLowerCase()))
+      },
+      { name: "since", type: "string", description: "Completed on or after (YYYY-MM-DD)" },
+      { name: "until", type: "string", description: "Completed on or before (YYYY-MM-DD)" }
+    ],
+    run: async ({ guild, args }) => {
+      const result = await exportRegistrations(guild, args);
+      if (result.error) return `❌ ${result.error}`;
+      const file = new AttachmentBuilder(Buffer.from(result.export.body, "utf8"), { name: result.export.filename });
+      return { content: `📄 Exported ${result.count} registration(s).`, files: [file] };
+    }
+  },
+  {
+    name: "email-preview",
+    description: "Render an email template with sample data without sending it",
+    options: [
+      {
+        name: "template",
+        type: "string",
+        description: "Template name",
+        required: true,
+        autocomplete: (value) => emailTemplates.listTemplates()
+          .map(t => t.name)
+          .filter(name => name.includes(value.toLowerCase()))
+      },
+      { name: "language", type: "string", description: "Language code (defaults to the configured language)" }
+    ],
+    run: async ({ args }) => {
+      let message;
+      try {
+        message = emailTemplates.render(args.template, EMAIL_PREVIEW_VARS, args.language || null);
+      } catch (error) {
+        return `❌ ${error.message}`;
+      }
+      const files = [
+        new AttachmentBuilder(Buffer.from(message.html, "utf8"), { name: `${args.template}.${message.language}.html` }),
+        new AttachmentBuilder(Buffer.from(message.text, "utf8"), { name: `${args.template}.${message.language}.txt` })
+      ];
+      return { content: `📧 **${message.subject}** (${message.language})\n\`\`\`\n${message.text.slice(0, 1500)}\n\`\`\``, files };
+    }
+  },
+  {
+    name: "mail-queue",
+    description: "Show the outbound mail queue and dead letters",
+    run: async () => {
+      const status = mailQueue.status();
+      const lines = [
+        ...status.pending.map(job =>
+          `queued  ${job.id}  ${job.message.to}  ${job.meta.template || "message"}  attempts=${job.attempts}` +
+          (job.lastError ? `  last error: ${job.lastError}` : "")
+        ),
+        ...status.deadLetters.map(job =>
+          `dead    ${job.id}  ${job.message.to}  ${job.meta.template || "message"}  failed ${job.failedAt}: ${job.lastError}`
+        )
+      ];
+      const summaryText =
+        `📬 Transport: ${status.transport}. ${status.pending.length} queued, ${status.deadLetters.length} dead-lettered. ` +
+        `Sent ${status.sentLastMinute}/${status.ratePerMinute} this minute, ${status.sentLastDay}/${status.ratePerDay} today.`;
+      return buildReport(summaryText, lines, "mail-queue.txt");
+    }
+  },
+  {
+    name: "mail-retry",
+    description: "Re-queue dead-lettered emails",
+    options: [
+      { name: "id", type: "string", description: "Message ID from /mail-queue (all dead letters if omitted)" }
+    ],
+    run: async ({ args }) => {
+      const count = mailQueue.retryDeadLetters(args.id || null);
+      return count > 0 ? `🔁 Re-queued ${count} email(s).` : "No matching dead letters.";
+    }
+  },
+  {
+    name: "mail-discard",
+    description: "Delete dead-lettered emails",
+    options: [
+      { name: "id", type: "string", description: "Message ID from /mail-queue (all dead letters if omitted)" }
+    ],
+    run: async ({ args }) => {
+      const count = mailQueue.discardDeadLetters(args.id || null);
+      return count > 0 ? `🗑️ Discarded ${count} dead letter(s).` : "No matching dead letters.";
+    }
+  },
+  {
+    name: "stats",
+    description: "Summarize the onboarding funnel and role choices",
+    options: [
+      { name: "days", type: "integer", description: "Days of completions to show (default 7, max 30)" },
+      { name: "list-stuck", type: "boolean", description: "Also list members stuck before completing setup" }
+    ],
+    run: async ({ guild, args }) => {
+      const days = Math.min(Math.max(args.days || 7, 1), 30);
+      const stats = await buildOnboardingStats(guild, { days });
+
+      const embed = new EmbedBuilder()
+        .setTitle("Onboarding Stats")
+        .setColor(0x5865F2)
+        .addFields(
+          { name: `Holding ${config.baseRole}`, value: String(stats.newcomers), inline: true },
+          { name: "Completed setup", value: String(stats.completed), inline: true },
+          {
+            name: "Stuck at",
+            value:
+              `Not started: ${stats.stages.not_started.length}\n` +
+              `Email entry: ${stats.stages.email.length}\n` +
+              `Code entry: ${stats.stages.code.length}\n` +
+              `Role selection: ${stats.stages.roles.length}`,
+            inline: false
+          },
+          {
+            name: `Completions (last ${days} day${days === 1 ? "" : "s"})`,
+            value: stats.perDay.map(([day, count]) => `${day}: ${count}`).join("\n"),
+            inline: false
+          }
+        )
+        .setTimestamp();
+
+      for (const { category, most, least } of stats.categories) {
+        if (embed.data.fields.length >= 25) break;
+        embed.addFields({
+          name: category,
+          value: `Most: ${formatRoleCounts(most)}\nLeast: ${formatRoleCounts(least)}`,
+          inline: false
+        });
+      }
+
+      if (!args["list-stuck"]) return { embeds: [embed] };
+
+      const lines = Object.entries(stats.stages).flatMap(([stage, members]) =>
+        members.map(m => `${stage.padEnd(11)} ${m.tag} (${m.discordId})${m.startedAt ? ` since ${m.startedAt.slice(0, 16).replace("T", " ")}` : ""}`)
+      );
+      const report = buildReport(
+        lines.length > 0 ? `⏳ ${lines.length} member(s) haven't completed setup:` : "Nobody is stuck. 🎉",
+        lines,
+        "stuck-members.txt"
+      );
+      return { embeds: [embed], ...report };
+    }
+  },
+  {
+    name: "cleanup-pending",
+    description: "Remove expired verification sessions",
+    run: async () => `🧹 Cleaned up ${cleanupExpiredSessions()} expired verification sessions.`
+  },
+  {
+    name: "reminders",
+    description: "Show the reminder and cleanup schedule, or run it now",
+    options: [
+      { name: "run", type: "boolean", description: "Send due reminders and purge expired codes now" }
+    ],
+    run: async ({ args }) => {
+      const lines = [];
+      if (args.run) {
+        // Jobs run for every guild; report this one
+        const purged = (await scheduler.runNow("purge-expired-codes"))?.[guildContext().id];
+        const sent = (await scheduler.runNow("onboarding-reminders"))?.[guildContext().id];
+        lines.push(
+          `Ran now: ${purged?.purged ?? 0} code(s) purged, ` +
+          `${sent?.reminded ?? 0} reminder(s) sent, ${sent?.kicked ?? 0} kicked, ${sent?.failed ?? 0} failed`,
+          ""
+        );
+      }
+      for (const job of scheduler.status()) {
+        lines.push(
+          `${job.name}: every ${formatWait(job.everyMs)}, last ${job.lastRunAt || "never"}` +
+          (job.lastOk === false ? ` (failed: ${job.lastError})` : "") +
+          `, next ${job.nextRunAt}`
+        );
+      }
+      const { afterHours, kickAfterDays, enabled } = config.reminders;
+      const summary = enabled
+        ? `⏰ Reminders at ${afterHours.join(", ")}h after joining` +
+          (kickAfterDays > 0 ? `, kick after ${kickAfterDays} day(s).` : ", no auto-kick.")
+        : "⏰ Reminders are disabled (reminders.enabled).";
+      return buildReport(summary, lines, "reminders.txt");
+    }
+  },
+  {
+    name: "role-requests",
+    description: "List pending requests for approval-required roles",
+    run: async () => {
+      const pending = roleRequests.filter(r => r.status === "pending").map(([, r]) => r)
+        .sort((a, b) => a.requestedAt.localeCompare(b.requestedAt));
+      if (pending.length === 0) return "No pending role requests.";
+      const lines = pending.map(r =>
+        `${r.id} — ${r.role} for ${r.tag} (${r.userId}), waiting ${formatWait(Date.now() - Date.parse(r.requestedAt))}`
+      );
+      return buildReport(`📝 ${pending.length} pending role request(s):`, lines, "role-requests.txt");
+    }
+  },
+  {
+    name: "lockouts",
+    description: "List members locked out of email verification",
+    run: async () => {
+      const lockouts = verificationGuard.listLockouts();
+      if (lockouts.length === 0) return "No active verification lockouts.";
+      const lines = lockouts.map(l =>
+        `${l.userId} — ${l.email || "unknown email"}, unlocks in ${formatWait(l.until - Date.now())}`
+      );
+      return buildReport(`🔒 ${lockouts.length} active verification lockout(s):`, lines, "lockouts.txt");
+    }
+  },
+  {
+    name: "clear-lockout",
+    description: "Clear a member's email verification lockout",
+    options: [
+      { name: "user", type: "user", description: "Member to unlock", required: true }
+    ],
+    run: async ({ args }) => {
+      const cleared = verificationGuard.clearLockout(args.user);
+      return cleared ? `🔓 Cleared verification lockout for <@${args.user}>.` : "That user has no active lockout.";
+    }
+  },
+  {
+    name: "transfer-binding",
+    description: "Move a verified student email to another Discord account",
+    options: [
+      {
+        name: "email",
+        type: "string",
+        description: "Verified student email",
+        required: true,
+        autocomplete: (value) => memberRegistry.values()
+          .filter(r => r.email && r.verifiedAt && r.email.toLowerCase().includes(value.toLowerCase()))
+          .map(r => r.email)
+      },
+      { name: "user", type: "user", description: "Account that should own the email", required: true }
+    ],
+    run: async ({ guild, actor, args }) => {
+      try {
+        const previous = await transferEmailBinding(guild, args.email, args.user, actor);
+        return previous
+          ? `✅ ${args.email} transferred from <@${previous.discordId}> to <@${args.user}>.`
+          : `✅ ${args.email} was not bound to anyone; linked to <@${args.user}>.`;
+      } catch (error) {
+        console.error("Error transferring email binding:", error);
+        return "❌ Transfer failed. Check the user and try again.";
+      }
+    }
+  },
+  {
+    name: "migrate-email-roles",
+    description: "Fold legacy per-email roles into the registry (dry run unless confirmed)",
+    options: [
+      { name: "confirm", type: "boolean", description: "Apply the migration instead of reporting it" }
+    ],
+    run: async ({ guild, args }) => {
+      const apply = Boolean(args.confirm);
+      const { summary, lines } = await migrateEmailRoles(guild, { apply });
+      const summaryText = apply
+        ? `✅ Migrated ${summary.roles} email roles: ${summary.recorded} members recorded, ` +
+          `${summary.conflicts} duplicates flagged, ${summary.deleted} roles deleted, ${summary.skipped} kept.`
+        : `🔍 Dry run: ${summary.roles} email roles found, ${summary.conflicts} duplicate members. ` +
+          "Run again with `confirm` to apply.";
+      return buildReport(summaryText, lines, "email-role-migration.txt");
+    }
+  },
+  {
+    name: "audit",
+    description: "Show recent audit log events, optionally for one member",
+    options: [
+      { name: "user", type: "user", description: "Member the events involve" },
+      {
+        name: "event",
+        type: "string",
+        description: "Only this event type",
+        autocomplete: (value) => AUDIT_EVENT_TYPES.filter(type => type.includes(value.toLowerCase()))
+      },
+      { name: "limit", type: "integer", description: "How many events (default 20, max 200)" }
+    ],
+    run: async ({ args }) => {
+      const limit = Math.min(Math.max(args.limit || 20, 1), 200);
+      const events = auditLog.recent({
+        userId: args.user || null,
+        type: args.event || null,
+        guildId: guildContext().id,
+        includeUntagged: guildContext() === primaryGuild, // events from before multi-guild support
+        limit
+      });
+      if (events.length === 0) return "No matching audit events.";
+      const lines = events.map(e => {
+        const details = Object.entries(e.details).map(([k, v]) => `${k}=${Array.isArray(v) ? v.join("|") : v}`);
+        const who = [e.userId && `user ${e.userId}`, e.actorId && e.actorId !== e.userId && `by ${e.actorId}`].filter(Boolean);
+        return `${e.ts} ${e.type} [${e.outcome}] ${[...who, ...details].join(" ")}`;
+      });
+      return buildReport(
+        `📜 ${events.length} most recent event(s)${args.user ? ` for <@${args.user}>` : ""}:`,
+        lines,
+        "audit.txt"
+      );
+    }
+  }
+];
+
+// For /audit autocomplete
+const AUDIT_EVENT_TYPES = [
+  "member_joined", "welcome_dm", "email_submitted", "verification_email", "email_dead_lettered",
+  "code_rejected", "verification_locked", "email_verified", "verification_roles", "binding_transferred",
+  "role_toggled", "base_role_removed", "setup_completed", "member_unverified", "setup_reset",
+  "roster_imported", "config_reloaded", "setup_reminder", "member_kicked", "profile_updated", "role_requested", "role_request_decided",
+  "channel_policy_applied", "channel_policy_enforced", "admin_command", "language_selected",
+  "nickname_applied", "nicknames_reapplied"
+];
+
+// Attachments are logged by name only
+function auditArgs(args) {
+  return Object.fromEntries(
+    Object.entries(args).map(([key, value]) => [key, value && typeof value === "object" ? value.name : value])
+  );
+}
+
+// Commands every member can use (permission: null); slash only
+const MEMBER_COMMANDS = [
+  {
+    name: "profile",
+    description: "View and edit your name, email and roles",
+    permission: null,
+    run: async ({ guild, actor }) => {
+      const member = await guild.members.fetch(actor.id);
+      if (!memberRegistry.get(actor.id)?.completedAt) {
+        const say = translator(actor.id);
+        const button = new ActionRowBuilder()
+          .addComponents(
+            new ButtonBuilder()
+              .setCustomId(setupCustomId(actor.id))
+              .setLabel(say("welcome.start"))
+              .setStyle(ButtonStyle.Primary)
+          );
+        return { content: say("welcome.unfinished"), components: [button] };
+      }
+      return buildProfileView(member);
+    }
+  },
+  {
+    name: "roles",
+    description: "Explain what each self-service role means",
+    permission: null,
+    options: [
+      {
+        name: "category",
+        type: "string",
+        description: "Only roles in this category",
+        autocomplete: (value) => Object.keys(config.roleCategories)
+          .filter(c => c.toLowerCase().includes(value.toLowerCase()))
+      }
+    ],
+    run: async ({ actor, args }) => {
+      if (args.category && !config.roleCategories[args.category]) return `Unknown category "${args.category}".`;
+      return { embeds: [buildRoleCatalogEmbed(args.category || null, translator(actor.id))] };
+    }
+  }
+];
+
+const SLASH_COMMANDS = [...ADMIN_COMMANDS, ...MEMBER_COMMANDS];
+const commandsByName = new Map(SLASH_COMMANDS.map(c => [c.name, c]));
+const adminCommandsByName = new Map(ADMIN_COMMANDS.map(c => [c.name, c]));
+
+async function registerSlashCommands(guild) {
+  try {
+    await guild.commands.set(SLASH_COMMANDS.map(buildSlashCommand));
+    console.log(`Registered ${SLASH_COMMANDS.length} slash commands in ${guild.name}`);
+  } catch (error) {
+    console.error("Error registering slash commands:", error);
+  }
+}
+
+async function handleSlashCommand(interaction) {
+  const command = commandsByName.get(interaction.commandName);
+  if (!command) return;
+  
+  if (!interaction.inGuild()) {
+    await interaction.reply({ content: translator(interaction.user.id)("errors.guildOnly"), ephemeral: true });
+    return;
+  }
+  const permission = requiredPermission(command);
+  if (permission !== null && !interaction.memberPermissions?.has(permission)) {
+    await interaction.reply({ content: translator(interaction.user.id)("errors.noPermission"), ephemeral: true });
+    return;
+  }
+  
+  await interaction.deferReply({ ephemeral: true });
+  try {
+    const guild = interaction.guild || await client.guilds.fetch(interaction.guildId);
+    const args = readSlashArgs(command, interaction);
+    const result = await command.run({ guild, actor: interaction.user, args });
+    if (permission !== null) {
+      audit("admin_command", { actorId: interaction.user.id, outcome: "success", command: command.name, args: auditArgs(args) });
+    }
+    await interaction.editReply(typeof result === "string" ? { content: result } : result);
+  } catch (error) {
+    console.error(`Error running /${command.name}:`, error);
+    audit("admin_command", { actorId: interaction.user.id, outcome: "failure", command: command.name, error: error.message });
+    await interaction.editReply({ content: translator(interaction.user.id)("errors.commandFailed") });
+  }
+}
+
+async function handleSlashAutocomplete(interaction) {
+  const command = commandsByName.get(interaction.commandName);
+  const permission = command ? requiredPermission(command) : null;
+  if (!command || (permission !== null && !interaction.memberPermissions?.has(permission))) {
+    await interaction.respond([]);
+    return;
+  }
+  await interaction.respond(await autocompleteChoices(command, interaction));
+}
+
+// Legacy prefix commands, kept behind LEGACY_PREFIX_COMMANDS for muscle memory
+if (LEGACY_PREFIX_COMMANDS) {
+  client.on("messageCreate", (message) => forGuild(message.guildId, async () => {
+    if (message.author.bot) return;
+    if (!message.content.startsWith("!")) return;
+    if (!message.inGuild() || !message.member) return; // DMs have no member/permissions
+    
+    const [name, ...tokens] = message.content.slice(1).trim().split(/\s+/);
+    const command = adminCommandsByName.get(name.toLowerCase());
+    if (!command || !message.member.permissions.has(requiredPermission(command))) return;
+    
+    const parsed = parsePrefixArgs(command, tokens, [...message.attachments.values()]);
+    if (parsed.error) {
+      await message.reply(parsed.error);
+      return;
+    }
+    
+    try {
+      const result = await command.run({ guild: message.guild, actor: message.author, args: parsed.args });
+      audit("admin_command", {
+        actorId: message.author.id,
+        outcome: "success",
+        command: command.name,
+        args: auditArgs(parsed.args),
+        via: "prefix"
+      });
+      await message.reply(result);
+    } catch (error) {
+      console.error(`Error running !${command.name}:`, error);
+      audit("admin_command", { actorId: message.author.id, outcome: "failure", command: command.name, error: error.message, via: "prefix" });
+      await message.reply(translator(message.author.id)("errors.commandFailed"));
+    }
+  }));
+}
+
+// ====== MEMBER STATUS ======
+// Where a member is in onboarding: not_started -> email -> code -> roles -> complete
+function getOnboardingStage(userId) {
+  const record = memberRegistry.get(userId);
+  const pending = pendingUsers.get(userId);
+  
+  if (!pending) return record?.completedAt ? "complete" : "not_started";
+  if (record?.verifiedAt && record.email) return "roles";
+  const code = verificationCodes.get(userId);
+  if (code && Date.now() <= code.expires) return "code";
+  return "email";
+}
+
+function selectableRoleNames(member) {
+  const selectable = Object.values(config.roleCategories).flat();
+  return member.roles.cache.filter(r => selectable.includes(r.name)).map(r => r.name);
+}
+
+// What the selection rules check: roles the member picked or requested. Roster roles
+// are granted from registration and can't be removed with the buttons, so they don't count.
+function ruleHeldRoles(member) {
+  return [...selectableRoleNames(member), ...pendingRequestedRoles(member.id)]
+    .filter(role => !config.rosterRoles.includes(role));
+}
+
+function describeMember(userId, member = null) {
+  const record = memberRegistry.get(userId) || {};
+  const pending = pendingUsers.get(userId);
+  return {
+    discordId: userId,
+    tag: member?.user.tag || record.tag || null,
+    inGuild: Boolean(member),
+    fullName: pending?.fullName || record.fullName || null,
+    email: record.email || pending?.studentEmail || null,
+    verified: Boolean(record.verifiedAt && record.email),
+    stage: getOnboardingStage(userId),
+    category: pending?.categories?.join(", ") || record.category || null,
+    roles: member ? selectableRoleNames(member) : record.roles || [],
+    startedAt: pending?.startedAt || null,
+    verifiedAt: record.verifiedAt || null,
+    completedAt: record.completedAt || null
+  };
+}
+
+// Every human guild member plus registry entries for people who have since left
+async function listMemberSummaries(guild, { stage } = {}) {
+  const members = await guild.members.fetch();
+  const summaries = members
+    .filter(m => !m.user.bot)
+    .map(m => describeMember(m.id, m));
+  for (const userId of memberRegistry.keys()) {
+    if (!members.has(userId)) summaries.push(describeMember(userId));
+  }
+  return stage ? summaries.filter(m => m.stage === stage) : summaries;
+}
+
+// Funnel snapshot for /stats: stage buckets of members still holding the base role,
+// completions per day and per-category role popularity among current members
+async function buildOnboardingStats(guild, { days = 7 } = {}) {
+  const members = await guild.members.fetch();
+  const baseRole = guild.roles.cache.find(r => r.name === config.baseRole);
+  const humans = members.filter(m => !m.user.bot);
+
+  const stages = { not_started: [], email: [], code: [], roles: [] };
+  for (const member of humans.values()) {
+    const stage = getOnboardingStage(member.id);
+    const holdsBase = baseRole && member.roles.cache.has(baseRole.id);
+    if (stage in stages && (holdsBase || stage !== "not_started")) {
+      stages[stage].push(describeMember(member.id, member));
+    }
+  }
+
+  // Oldest first, so the longest-stuck members top the list
+  for (const list of Object.values(stages)) {
+    list.sort((a, b) => (a.startedAt || "").localeCompare(b.startedAt || ""));
+  }
+
+  const perDay = new Map();
+  for (let i = days - 1; i >= 0; i--) {
+    perDay.set(new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10), 0);
+  }
+  let completed = 0;
+  for (const record of memberRegistry.values()) {
+    if (!record.completedAt) continue;
+    completed++;
+    const day = record.completedAt.slice(0, 10);
+    if (perDay.has(day)) perDay.set(day, perDay.get(day) + 1);
+  }
+
+  const categories = Object.keys(config.roleCategories).map(category => {
+    const counts = selfServiceRoles(category)
+      .map(name => {
+        const role = guild.roles.cache.find(r => r.name === name);
+        return { name, count: role ? humans.filter(m => m.roles.cache.has(role.id)).size : 0 };
+      })
+      .sort((a, b) => b.count - a.count);
+    return { category, most: counts.slice(0, 3), least: counts.slice(-3).reverse() };
+  }).filter(c => c.most.length > 0);
+
+  return {
+    newcomers: baseRole ? humans.filter(m => m.roles.cache.has(baseRole.id)).size : 0,
+    completed,
+    stages,
+    perDay: [...perDay.entries()],
+    categories
+  };
+}
+
+function formatRoleCounts(counts) {
+  return counts.map(c => `${c.name} (${c.count})`).join(", ") || "—";
+}
+
+async function getMemberSummary(guild, userId) {
+  const member = await guild.members.fetch(userId).catch(() => null);
+  if (!member && !memberRegistry.has(userId) && !pendingUsers.has(userId)) return null;
+  return describeMember(userId, member);
+}
+
+async function findMemberSummaryByEmail(guild, email) {
+  const normalized = email.toLowerCase();
+  const bound = findEmailBinding(email);
+  const userId = bound?.discordId ||
+    pendingUsers.entries().find(([, p]) => p.studentEmail?.toLowerCase() === normalized)?.[0];
+  return userId ? getMemberSummary(guild, userId) : null;
+}
+
+async function manualVerify(guild, userId, { email, fullName, force }, actor) {
+  const member = await guild.members.fetch(userId).catch(() => null);
+  if (!member) return { status: 404, error: "Member is not in the server" };
+  
+  const existing = findEmailBinding(email, userId);
+  if (existing && !force) {
+    return { status: 409, error: "Email is already bound to another account", boundTo: existing.discordId };
+  }
+  
+  verificationCodes.delete(userId);
+  verificationGuard.clearLockout(userId);
+  await transferEmailBinding(guild, email, userId, actor, fullName);
+  return { member: describeMember(userId, member) };
+}
+
+async function unverifyMember(guild, userId, actor) {
+  const record = memberRegistry.get(userId);
+  if (!record?.verifiedAt || !record.email) return null;
+  
+  updateRegistry(userId, {
+    email: null,
+    verifiedAt: null,
+    unboundAt: new Date().toISOString(),
+    unboundReason: `Unverified by ${actor.tag}`
+  });
+  
+  const member = await guild.members.fetch(userId).catch(() => null);
+  if (member) await member.roles.remove(getVerificationRoles(guild, record.email)).catch(() => {});
+  console.log(`Unverified ${record.email} for ${userId} by ${actor.tag}`);
+  audit("member_unverified", { userId, actorId: actor.id, actorTag: actor.tag, email: record.email });
+  return describeMember(userId, member);
+}
+
+// Sends a member back to the start of onboarding; the email binding is kept
+async function resetMemberSetup(guild, userId, { notify = true } = {}, actor) {
+  const member = await guild.members.fetch(userId).catch(() => null);
+  if (!member) return null;
+  
+  pendingUsers.delete(userId);
+  verificationCodes.delete(userId);
+  onboardingReminders.set(userId, { since: new Date().toISOString(), sent: 0 }); // Restart the reminder clock
+  if (memberRegistry.has(userId)) {
+    updateRegistry(userId, { completedAt: null, category: null, roles: [] });
+  }
+  
+  const baseRole = guild.roles.cache.find(r => r.name === config.baseRole);
+  if (baseRole) await member.roles.add(baseRole);
+  if (notify) await sendWelcomeDM(member);
+  
+  console.log(`Setup reset for ${member.user.tag} by ${actor.tag}`);
+  audit("setup_reset", { userId, actorId: actor.id, actorTag: actor.tag, notified: notify });
+  return describeMember(userId, member);
+}
+
+// ====== REGISTRATION ROSTER ======
+// Admin-imported email -> roles list; roster roles are granted on verification
+function getRosterRoles(email) {
+  const entry = registrationRoster.get(email.toLowerCase());
+  return entry ? entry.roles.filter(role => config.rosterRoles.includes(role)) : [];
+}
+
+// mode "replace": the file becomes the whole roster and missing roles are revoked.
+// mode "merge": entries are added/overwritten per email and nothing is revoked.
+async function importRoster(guild, text, { mode = "replace", actor }) {
+  const { entries, errors } = parseRoster(text, config.rosterRoles);
+  if (entries.size === 0) return { errors: errors.length > 0 ? errors : ["roster has no rows"] };
+  
+  if (mode === "replace") registrationRoster.clear();
+  const importedAt = new Date().toISOString();
+  for (const [email, roles] of entries) {
+    registrationRoster.set(email, { email, roles, importedAt, importedBy: actor.tag });
+  }
+  
+  const reconciled = await reconcileRosterRoles(guild, { revoke: mode === "replace" });
+  console.log(
+    `Roster imported by ${actor.tag} (${mode}): ${entries.size} emails, ` +
+    `${reconciled.granted} roles granted, ${reconciled.revoked} revoked`
+  );
+  audit("roster_imported", {
+    actorId: actor.id,
+    actorTag: actor.tag,
+    outcome: reconciled.failures.length > 0 ? "failure" : "success",
+    mode,
+    emails: entries.size,
+    granted: reconciled.granted,
+    revoked: reconciled.revoked,
+    failures: reconciled.failures.length
+  });
+  return { errors, imported: entries.size, ...reconciled };
+}
+
+// Brings already-verified members in line with the roster
+async function reconcileRosterRoles(guild, { revoke }) {
+  const members = await guild.members.fetch();
+  const result = { checked: 0, granted: 0, revoked: 0, failures: [] };
+  
+  for (const record of memberRegistry.values()) {
+    const member = members.get(record.discordId);
+    if (!member || !record.verifiedAt || !record.email) continue;
+    result.checked++;
+    
+    const wanted = getRosterRoles(record.email);
+    const toAdd = wanted
+      .map(name => guild.roles.cache.find(r => r.name === name))
+      .filter(role => role && !member.roles.cache.has(role.id));
+    const toRemove = revoke
+      ? [...member.roles.cache.filter(r => config.rosterRoles.includes(r.name) && !wanted.includes(r.name)).values()]
+      : [];
+    
+    try {
+      if (toAdd.length > 0) await member.roles.add(toAdd, "Registration roster");
+      if (toRemove.length > 0) await member.roles.remove(toRemove, "Not in registration roster");
+      result.granted += toAdd.length;
+      result.revoked += toRemove.length;
+    } catch (error) {
+      result.failures.push(`${member.user.tag}: ${error.message}`);
+    }
+  }
+  
+  return result;
+}
+
+// ====== REGISTRATION EXPORT ======
+// One row per onboarded member; live guild roles win over the roles recorded at completion
+async function buildRegistrationRows(guild) {
+  const members = await guild.members.fetch();
+  return memberRegistry.values()
+    .filter(record => record.completedAt)
+    .map(record => {
+      const member = members.get(record.discordId);
+      return {
+        fullName: record.fullName || null,
+        email: record.email || null,
+        discordTag: member?.user.tag || record.tag || null,
+        discordId: record.discordId,
+        category: record.category || null,
+        roles: member ? selectableRoleNames(member) : record.roles || [],
+        verifiedAt: record.verifiedAt || null,
+        completedAt: record.completedAt
+      };
+    });
+}
+
+// Returns { export: { body, contentType, filename }, count } or { error }
+async function exportRegistrations(guild, { format = "csv", ...filterArgs } = {}) {
+  if (!FORMATS.includes(format)) return { error: `format must be one of: ${FORMATS.join(", ")}` };
+  const parsed = parseExportFilters(filterArgs);
+  if (parsed.error) return { error: parsed.error };
+  
+  const rows = filterRegistrations(await buildRegistrationRows(guild), parsed.filters);
+  return { export: renderExport(rows, format), count: rows.length };
+}
+
+// ====== MAGIC LINK VERIFICATION ======
+// Links don't name the guild; the pending code carrying the nonce does
+function magicLinkContext(parsed) {
+  return [...guildContexts.values()]
+    .find(c => parsed && c.verificationCodes.get(parsed.userId)?.linkNonce === parsed.nonce) || primaryGuild;
+}
+
+app.use("/verify", createMagicLinkRouter({
+  readToken: (token) => verificationGuard.readLinkToken(token),
+  consume: (parsed) => inGuildScope(magicLinkContext(parsed), () => consumeMagicLink(parsed)),
+  translate: (parsed) => inGuildScope(magicLinkContext(parsed), () => translator(parsed?.userId))
+}));
+
+// ====== METRICS ENDPOINT ======
+app.use("/metrics", createMetricsRouter({ registry: metrics.registry, token: METRICS_TOKEN }));
+
+// ====== ADMIN API ======
+app.use("/api/admin", createAdminApi({
+  token: ADMIN_API_TOKEN,
+  hasGuild: (guildId) => guildContexts.has(guildId),
+  getGuild: async (guildId) => (client.isReady() ? client.guilds.cache.get(guildId || primaryGuild.id) : null),
+  runInGuild: (guild, next) => forGuild(guild.id, next),
+  listMembers: listMemberSummaries,
+  getMember: getMemberSummary,
+  findMemberByEmail: findMemberSummaryByEmail,
+  verifyMember: manualVerify,
+  unverifyMember,
+  resetMember: resetMemberSetup,
+  exportRegistrations,
+  importRoster,
+  checkRoles: async (guild) => {
+    await checkExistingRoles(guild);
+    return { availableRoles: [...availableRoles] };
+  },
+  updatePermissions: (guild, options) => updateChannelPermissions(guild, options)
+}));
+
+// ====== ERROR HANDLING ======
+client.on("error", (error) => {
+  console.error(error);
+  countDiscordError("client");
+});
+client.rest.on("rateLimited", (info) => {
+  console.log(`Rate limited on ${info.route} for ${info.timeToReset}ms`);
+  countDiscordError("rate_limited");
+});
+
+// Flush and close storage on redeploy/shutdown
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, () => {
+    console.log(`Received ${signal}, shutting down...`);
+    scheduler.stop();
+    mailQueue.stop();
+    for (const context of guildContexts.values()) {
+      if (context.storage !== storage) context.storage.close();
+    }
+    storage.close();
+    client.destroy();
+    process.exit(0);
+  });
+}
 
 // ====== LOGIN ======
 console.log("Starting role collection bot with email verification...");
-console.log("📧 SMTP Email verification enabled");
+console.log(`📧 Email verification enabled (${mailTransport.name} transport)`);
 client.login(TOKEN);
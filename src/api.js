@@ -0,0 +1,199 @@
+// api.js
+// Token-protected admin REST API for internal fest tools.
+// Mounted under /api/admin; every request needs `Authorization: Bearer <ADMIN_API_TOKEN>`.
+// The bot-side actions are injected so this module stays free of Discord state.
+
+"use strict";
+
+const crypto = require("crypto");
+const express = require("express");
+
+const STAGES = ["not_started", "email", "code", "roles", "complete"];
+const SNOWFLAKE = /^\d{15,22}$/;
+const API_ACTOR = { id: null, tag: "admin-api" }; // Audit actor for changes made through the API
+
+function tokensMatch(provided, expected) {
+  // Hash first so timingSafeEqual always compares equal-length buffers
+  const a = crypto.createHash("sha256").update(String(provided)).digest();
+  const b = crypto.createHash("sha256").update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function requireToken(token) {
+  return (req, res, next) => {
+    if (!token) {
+      res.status(503).json({ error: "Admin API disabled: set ADMIN_API_TOKEN to enable it" });
+      return;
+    }
+    const header = req.get("authorization") || "";
+    const provided = header.startsWith("Bearer ") ? header.slice(7) : req.get("x-admin-token");
+    if (!provided || !tokensMatch(provided, token)) {
+      res.status(401).json({ error: "Invalid or missing admin token" });
+      return;
+    }
+    next();
+  };
+}
+
+function createAdminApi({
+  token,
+  hasGuild,
+  getGuild,
+  runInGuild,
+  listMembers,
+  getMember,
+  findMemberByEmail,
+  verifyMember,
+  unverifyMember,
+  resetMember,
+  exportRegistrations,
+  importRoster,
+  checkRoles,
+  updatePermissions
+}) {
+  const router = express.Router();
+  router.use(express.json());
+  router.use(requireToken(token));
+
+  // Resolve the guild once per request (?guild=<id> or X-Guild-Id, defaulting to the
+  // primary guild) and handle the rest of the request in its scope; 503 while the
+  // bot is still connecting
+  router.use(async (req, res, next) => {
+    const requested = req.query.guild || req.get("x-guild-id") || null;
+    if (requested && !hasGuild(requested)) {
+      res.status(404).json({ error: "Unknown guild" });
+      return;
+    }
+    req.guild = await getGuild(requested);
+    if (!req.guild) {
+      res.status(503).json({ error: "Bot is not connected to the guild yet" });
+      return;
+    }
+    runInGuild(req.guild, next);
+  });
+
+  router.param("userId", (req, res, next, userId) => {
+    if (!SNOWFLAKE.test(userId)) {
+      res.status(400).json({ error: "userId must be a Discord user ID" });
+      return;
+    }
+    next();
+  });
+
+  // ====== MEMBERS ======
+  router.get("/members", async (req, res) => {
+    const { stage } = req.query;
+    if (stage && !STAGES.includes(stage)) {
+      res.status(400).json({ error: `stage must be one of: ${STAGES.join(", ")}` });
+      return;
+    }
+    const members = await listMembers(req.guild, { stage });
+    res.json({ count: members.length, members });
+  });
+
+  router.get("/members/lookup", async (req, res) => {
+    const { email, discordId } = req.query;
+    if (!email && !discordId) {
+      res.status(400).json({ error: "Pass ?email= or ?discordId=" });
+      return;
+    }
+    const member = email ? await findMemberByEmail(req.guild, email) : await getMember(req.guild, discordId);
+    if (!member) {
+      res.status(404).json({ error: "Member not found" });
+      return;
+    }
+    res.json(member);
+  });
+
+  router.get("/members/:userId", async (req, res) => {
+    const member = await getMember(req.guild, req.params.userId);
+    if (!member) {
+      res.status(404).json({ error: "Member not found" });
+      return;
+    }
+    res.json(member);
+  });
+
+  router.post("/members/:userId/verify", async (req, res) => {
+    const { email, fullName, force = false } = req.body || {};
+    if (typeof email !== "string" || !email.includes("@")) {
+      res.status(400).json({ error: "Body must include a valid email" });
+      return;
+    }
+    const result = await verifyMember(req.guild, req.params.userId, { email, fullName, force: Boolean(force) }, API_ACTOR);
+    if (result.error) {
+      const { status, ...body } = result;
+      res.status(status || 400).json(body);
+      return;
+    }
+    res.json(result.member);
+  });
+
+  router.post("/members/:userId/unverify", async (req, res) => {
+    const member = await unverifyMember(req.guild, req.params.userId, API_ACTOR);
+    if (!member) {
+      res.status(404).json({ error: "Member is not verified" });
+      return;
+    }
+    res.json(member);
+  });
+
+  router.post("/members/:userId/reset", async (req, res) => {
+    const { notify = true } = req.body || {};
+    const member = await resetMember(req.guild, req.params.userId, { notify: Boolean(notify) }, API_ACTOR);
+    if (!member) {
+      res.status(404).json({ error: "Member is not in the server" });
+      return;
+    }
+    res.json(member);
+  });
+
+  // ====== EXPORT ======
+  // GET /export?format=csv|json&role=&category=&since=YYYY-MM-DD&until=YYYY-MM-DD
+  router.get("/export", async (req, res) => {
+    const { format, role, category, since, until } = req.query;
+    const result = await exportRegistrations(req.guild, { format: format || "csv", role, category, since, until });
+    if (result.error) {
+      res.status(400).json({ error: result.error });
+      return;
+    }
+    res.set("Content-Type", result.export.contentType);
+    res.attachment(result.export.filename);
+    res.send(result.export.body);
+  });
+
+  // ====== ROSTER ======
+  // POST /roster?mode=replace|merge with the CSV as a text/csv body
+  router.post("/roster", express.text({ type: ["text/csv", "text/plain"], limit: "1mb" }), async (req, res) => {
+    const mode = req.query.mode || "replace";
+    if (!["replace", "merge"].includes(mode)) {
+      res.status(400).json({ error: "mode must be replace or merge" });
+      return;
+    }
+    if (typeof req.body !== "string" || req.body.trim() === "") {
+      res.status(400).json({ error: "Send the roster CSV as a text/csv request body" });
+      return;
+    }
+    const result = await importRoster(req.guild, req.body, { mode, actor: API_ACTOR });
+    res.status(result.imported ? 200 : 400).json(result);
+  });
+
+  // ====== MAINTENANCE ======
+  router.post("/actions/check-roles", async (req, res) => {
+    res.json(await checkRoles(req.guild));
+  });
+
+  router.post("/actions/update-permissions", async (req, res) => {
+    // ?dryRun=true returns the diff without touching any channel
+    res.json(await updatePermissions(req.guild, { dryRun: req.query.dryRun === "true" }));
+  });
+
+  router.use((error, req, res, next) => {
+    console.error("Admin API error:", error);
+    res.status(500).json({ error: "Internal error" });
+  });
+
+  return router;
+}
+
+module.exports = { createAdminApi, requireToken, tokensMatch, STAGES };
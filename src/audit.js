@@ -0,0 +1,119 @@
+// audit.js
+// Structured onboarding/admin event log: one JSON object per line in a log file
+// (optionally echoed to stdout for Render's log search) plus a rich embed in the
+// moderators' mod-log channel so disputes can be investigated from Discord.
+//
+// Event shape: { ts, type, outcome, userId, actorId, details }. actorId is always a
+// Discord user ID (or null for the admin API); the actor's tag goes in details.actorTag.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { EmbedBuilder } = require("discord.js");
+
+const OUTCOME_COLORS = {
+  success: 0x57F287,
+  info: 0x5865F2,
+  blocked: 0xFEE75C,
+  failure: 0xED4245
+};
+
+// Read at most this much from the end of the log when looking up history
+const TAIL_BYTES = 4 * 1024 * 1024;
+
+function titleCase(type) {
+  return type.split("_").map(word => word[0].toUpperCase() + word.slice(1)).join(" ");
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return value.length > 0 ? value.join(", ") : "—";
+  if (value && typeof value === "object") return JSON.stringify(value);
+  return value === null || value === undefined || value === "" ? "—" : String(value);
+}
+
+function buildAuditEmbed(event) {
+  const embed = new EmbedBuilder()
+    .setTitle(titleCase(event.type))
+    .setColor(OUTCOME_COLORS[event.outcome] ?? OUTCOME_COLORS.info)
+    .setTimestamp(new Date(event.ts));
+
+  const fields = [];
+  const { actorTag, ...details } = event.details;
+  if (event.userId) fields.push({ name: "Member", value: `<@${event.userId}> (${event.userId})`, inline: true });
+  if (event.actorId && event.actorId !== event.userId) {
+    fields.push({ name: "By", value: /^\d+$/.test(event.actorId) ? `<@${event.actorId}>` : event.actorId, inline: true });
+  } else if (!event.actorId && actorTag) {
+    fields.push({ name: "By", value: actorTag, inline: true });
+  }
+  fields.push({ name: "Outcome", value: event.outcome, inline: true });
+  for (const [key, value] of Object.entries(details)) {
+    if (fields.length >= 25) break;
+    fields.push({ name: key, value: formatValue(value).slice(0, 1024), inline: String(formatValue(value)).length < 40 });
+  }
+  return embed.addFields(fields);
+}
+
+// getOptions() returns { file, stdout, channel, skipEvents } (read on every event so a
+// config reload applies immediately); postEmbed(embed, channel) delivers to the mod-log channel
+function createAuditLog({ getOptions, postEmbed = async () => {} }) {
+  function record(type, { userId = null, actorId = null, outcome = "success", ...details } = {}) {
+    const event = { ts: new Date().toISOString(), type, outcome, userId, actorId, details };
+    const line = JSON.stringify(event);
+    const { file, stdout, channel, skipEvents } = getOptions();
+
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, line + "\n");
+    } catch (error) {
+      console.error("Error writing audit log:", error.message);
+    }
+    if (stdout) console.log(line);
+
+    if (channel && !skipEvents.includes(type)) {
+      Promise.resolve()
+        .then(() => postEmbed(buildAuditEmbed(event), channel))
+        .catch(error => console.error("Error posting audit event:", error.message));
+    }
+    return event;
+  }
+
+  // Most recent events first, optionally only those involving one member. With guildId,
+  // only that guild's events (several guilds may share one file); includeUntagged also
+  // keeps events logged before they carried a guildId.
+  function recent({ userId = null, type = null, guildId = null, includeUntagged = false, limit = 20 } = {}) {
+    const { file } = getOptions();
+    if (!fs.existsSync(file)) return [];
+    const { size } = fs.statSync(file);
+    const start = Math.max(0, size - TAIL_BYTES);
+    const fd = fs.openSync(file, "r");
+    const buffer = Buffer.alloc(size - start);
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, start);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const lines = buffer.toString("utf8").split("\n");
+    if (start > 0) lines.shift(); // First line is probably cut in half
+    const events = [];
+    for (let i = lines.length - 1; i >= 0 && events.length < limit; i--) {
+      if (!lines[i]) continue;
+      let event;
+      try {
+        event = JSON.parse(lines[i]);
+      } catch (error) {
+        continue;
+      }
+      if (userId && event.userId !== userId && event.actorId !== userId) continue;
+      if (type && event.type !== type) continue;
+      if (guildId && event.details?.guildId !== guildId && !(includeUntagged && event.details?.guildId === undefined)) continue;
+      events.push(event);
+    }
+    return events;
+  }
+
+  return { record, recent };
+}
+
+module.exports = { createAuditLog, buildAuditEmbed };
@@ -0,0 +1,246 @@
+// channelPolicy.js
+// Declarative channel access (config `channelAccess`): the base role is hidden from
+// every channel except the newcomer ones, and restricted channels or categories are
+// hidden from @everyone and opened to the listed roles. `unlocks` is the same rule
+// written from the role's side (role -> channels it opens); both are merged here.
+//
+// planChannelPolicy compares the policy with the current overwrites and returns only
+// the permission flags that differ, so the same plan drives the dry-run diff, the
+// full apply and enforcement of single channels on create/update. Channel and
+// category references are names or IDs; a category rule covers its channels unless
+// a channel has its own rule.
+
+"use strict";
+
+const HIDDEN = { ViewChannel: false, SendMessages: false, ReadMessageHistory: false };
+const READ_ONLY = { ViewChannel: true, SendMessages: false, ReadMessageHistory: true };
+
+function findChannel(guild, ref) {
+  return guild.channels.cache.get(ref) || guild.channels.cache.find(c => c.name === ref) || null;
+}
+
+// Turns names from the config into guild objects. Unknown names are reported, not fatal.
+function resolveChannelPolicy(guild, {
+  baseRole,
+  welcomeChannel,
+  roleChannelId,
+  newcomerChannels = [],
+  restricted = {},
+  unlocks = {}
+}) {
+  const problems = [];
+  const role = guild.roles.cache.find(r => r.name === baseRole) || null;
+  if (!role) problems.push(`base role "${baseRole}" not found`);
+
+  const newcomerIds = new Set();
+  for (const ref of [welcomeChannel, roleChannelId, ...newcomerChannels].filter(Boolean)) {
+    const channel = findChannel(guild, ref);
+    if (channel) newcomerIds.add(channel.id);
+    else if (ref !== roleChannelId) problems.push(`newcomer channel "${ref}" not found`);
+  }
+
+  // channel ID -> roles that may see it, and where each grant comes from in the config
+  const restrictedRoles = new Map();
+  const sources = new Map();
+  const grant = (ref, roleName, source) => {
+    const channel = findChannel(guild, ref);
+    if (!channel) {
+      problems.push(`channel "${ref}" in ${source} not found`);
+      return;
+    }
+    const roles = restrictedRoles.get(channel.id) || [];
+    restrictedRoles.set(channel.id, roles);
+    const role = guild.roles.cache.find(r => r.name === roleName);
+    if (!role) {
+      problems.push(`role "${roleName}" in ${source} not found`);
+      return;
+    }
+    if (!roles.includes(role)) roles.push(role);
+    sources.set(`${channel.id}:${role.id}`, source);
+  };
+  for (const [ref, roleNames] of Object.entries(restricted)) {
+    for (const name of roleNames) grant(ref, name, `restricted "${ref}"`);
+  }
+  for (const [roleName, refs] of Object.entries(unlocks)) {
+    for (const ref of refs) grant(ref, roleName, `unlocks "${roleName}"`);
+  }
+
+  return {
+    guild,
+    baseRole: role,
+    welcomeChannelId: findChannel(guild, welcomeChannel)?.id ?? null,
+    newcomerIds,
+    restrictedRoles,
+    sources,
+    problems
+  };
+}
+
+function isManaged(channel) {
+  return Boolean(channel.guild) && !channel.isThread?.();
+}
+
+// The channel or category whose rule governs a channel (its own wins), or null if open
+function ruleOwnerId(policy, channel) {
+  if (policy.restrictedRoles.has(channel.id)) return channel.id;
+  if (policy.restrictedRoles.has(channel.parentId)) return channel.parentId;
+  return null;
+}
+
+// Restricted roles for a channel, from its own rule or its category's
+function restrictedRolesFor(policy, channel) {
+  const owner = ruleOwnerId(policy, channel);
+  return owner ? policy.restrictedRoles.get(owner) : null;
+}
+
+// Channels (and the channels of categories) a role is opened to by the policy
+function channelsOpenedTo(policy, role) {
+  return [...policy.guild.channels.cache.values()]
+    .filter(channel => isManaged(channel) && restrictedRolesFor(policy, channel)?.includes(role));
+}
+
+// One line per config rule that opens the channel, e.g. `Backend Developer (unlocks "Backend Developer")`
+function describeChannelRule(policy, channel) {
+  const owner = ruleOwnerId(policy, channel);
+  if (!owner) return ["No rule: visible to everyone except the base role's hidden channels"];
+  const via = owner === channel.id ? "" : ` via category ${policy.guild.channels.cache.get(owner)?.name}`;
+  return [
+    `Hidden from @everyone${via}`,
+    ...policy.restrictedRoles.get(owner).map(role => `Opened to ${role.name} (${policy.sources.get(`${owner}:${role.id}`)})`)
+  ];
+}
+
+// Why a member can see a channel, or null if they can't
+function accessReason(channel, member) {
+  const permissions = channel.permissionsFor(member);
+  if (!permissions?.has("ViewChannel")) return null;
+  if (member.id === channel.guild.ownerId) return "server owner";
+  if (permissions.has("Administrator")) return "Administrator";
+  if (channel.permissionOverwrites.cache.get(member.id)?.allow.has("ViewChannel")) return "member overwrite";
+  const granting = member.roles.cache
+    .filter(role => channel.permissionOverwrites.cache.get(role.id)?.allow.has("ViewChannel"))
+    .map(role => role.name);
+  if (granting.length > 0) return `role ${granting.sort().join(" + ")}`;
+  return "default permissions";
+}
+
+// [{ id, name, permissions }] the policy wants on one channel
+function desiredOverwrites(policy, channel) {
+  const everyone = policy.guild.roles.everyone;
+  const targets = new Map();
+  const want = (target, permissions) => {
+    const current = targets.get(target.id);
+    targets.set(target.id, { id: target.id, name: target.name, permissions: { ...current?.permissions, ...permissions } });
+  };
+
+  if (policy.baseRole) {
+    const visible = policy.newcomerIds.has(channel.id) || policy.newcomerIds.has(channel.parentId);
+    want(policy.baseRole, visible ? READ_ONLY : HIDDEN);
+  }
+  if (channel.id === policy.welcomeChannelId) want(everyone, READ_ONLY);
+
+  const roles = restrictedRolesFor(policy, channel);
+  if (roles) {
+    want(everyone, { ViewChannel: false });
+    for (const role of roles) want(role, { ViewChannel: true });
+  }
+
+  return [...targets.values()];
+}
+
+// true = allowed, false = denied, null = inherited
+function currentFlag(channel, targetId, flag) {
+  const overwrite = channel.permissionOverwrites.cache.get(targetId);
+  if (!overwrite) return null;
+  if (overwrite.allow.has(flag)) return true;
+  if (overwrite.deny.has(flag)) return false;
+  return null;
+}
+
+// Overwrite edits one channel needs: [{ targetId, targetName, set, before }]
+function diffChannel(policy, channel) {
+  const changes = [];
+  for (const target of desiredOverwrites(policy, channel)) {
+    const set = {};
+    const before = {};
+    for (const [flag, value] of Object.entries(target.permissions)) {
+      const current = currentFlag(channel, target.id, flag);
+      if (current !== value) {
+        set[flag] = value;
+        before[flag] = current;
+      }
+    }
+    if (Object.keys(set).length > 0) changes.push({ targetId: target.id, targetName: target.name, set, before });
+  }
+  return changes;
+}
+
+// Categories first, so a partial apply still hides whole categories early
+function planChannelPolicy(policy, channels = [...policy.guild.channels.cache.values()]) {
+  return channels
+    .filter(isManaged)
+    .sort((a, b) => Number(b.type === 4) - Number(a.type === 4) || a.rawPosition - b.rawPosition)
+    .map(channel => ({ channel, changes: diffChannel(policy, channel) }))
+    .filter(entry => entry.changes.length > 0);
+}
+
+function describeFlag(value) {
+  return value === null ? "inherit" : value ? "allow" : "deny";
+}
+
+function channelLabel(channel) {
+  return channel.type === 4 ? `📁 ${channel.name}` : `#${channel.name}`;
+}
+
+function formatPlan(plan) {
+  if (plan.length === 0) return "Channel overwrites already match the policy.";
+  return plan.map(({ channel, changes }) => [
+    channelLabel(channel),
+    ...changes.map(change => `  ${change.targetName}: ` + Object.entries(change.set)
+      .map(([flag, value]) => `${flag} ${describeFlag(change.before[flag])} → ${describeFlag(value)}`)
+      .join(", "))
+  ].join("\n")).join("\n");
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Applies edits one at a time with a pause between them, so a full-server apply
+// doesn't burst into the rate limit. A 429 that discord.js gives up on is retried
+// once after the advertised delay. Failures are collected, never thrown.
+async function applyChannelPlan(plan, { delayMs = 250, reason = "Channel access policy" } = {}) {
+  let applied = 0;
+  const failures = [];
+
+  for (const { channel, changes } of plan) {
+    for (const change of changes) {
+      const edit = () => channel.permissionOverwrites.edit(change.targetId, change.set, { reason });
+      try {
+        try {
+          await edit();
+        } catch (error) {
+          if (error.status !== 429) throw error;
+          await sleep((error.retryAfter ?? 1) * 1000);
+          await edit();
+        }
+        applied++;
+      } catch (error) {
+        failures.push({ channel: channelLabel(channel), target: change.targetName, error: error.message });
+      }
+      if (delayMs > 0) await sleep(delayMs);
+    }
+  }
+
+  return { applied, failures };
+}
+
+module.exports = {
+  resolveChannelPolicy,
+  desiredOverwrites,
+  planChannelPolicy,
+  formatPlan,
+  applyChannelPlan,
+  channelLabel,
+  channelsOpenedTo,
+  describeChannelRule,
+  accessReason
+};
@@ -0,0 +1,162 @@
+// commands.js
+// Admin command registry helpers: one plain definition drives both the guild
+// slash command and the legacy `!` prefix command.
+//
+// Definition shape:
+// permission defaults to Manage Roles; null makes the command available to every member.
+//   { name, description, permission?, options?: [{ name, type, description, required?, choices?, autocomplete? }], run }
+// Option types: string, integer, boolean, user, role, channel, attachment.
+// user/role/channel options resolve to IDs and attachments to { name, url, size }
+// so both entry points pass the same args to run().
+
+"use strict";
+
+const { SlashCommandBuilder, PermissionFlagsBits } = require("discord.js");
+
+const DEFAULT_PERMISSION = PermissionFlagsBits.ManageRoles;
+
+const OPTION_ADDERS = {
+  string: "addStringOption",
+  integer: "addIntegerOption",
+  boolean: "addBooleanOption",
+  user: "addUserOption",
+  role: "addRoleOption",
+  channel: "addChannelOption",
+  attachment: "addAttachmentOption"
+};
+
+const TRUTHY = ["true", "yes", "y", "1", "on", "confirm"];
+
+function requiredPermission(def) {
+  return def.permission === undefined ? DEFAULT_PERMISSION : def.permission;
+}
+
+function buildSlashCommand(def) {
+  const builder = new SlashCommandBuilder()
+    .setName(def.name)
+    .setDescription(def.description)
+    .setDefaultMemberPermissions(requiredPermission(def));
+
+  for (const option of def.options || []) {
+    const adder = OPTION_ADDERS[option.type];
+    if (!adder) throw new Error(`Unknown option type "${option.type}" in /${def.name}`);
+
+    builder[adder](o => {
+      o.setName(option.name)
+        .setDescription(option.description)
+        .setRequired(Boolean(option.required));
+      if (option.choices) o.addChoices(...option.choices);
+      if (option.autocomplete) o.setAutocomplete(true);
+      return o;
+    });
+  }
+
+  return builder.toJSON();
+}
+
+function readSlashArgs(def, interaction) {
+  const { options } = interaction;
+  const args = {};
+
+  for (const option of def.options || []) {
+    let value;
+    switch (option.type) {
+      case "string": value = options.getString(option.name); break;
+      case "integer": value = options.getInteger(option.name); break;
+      case "boolean": value = options.getBoolean(option.name); break;
+      case "user": value = options.getUser(option.name)?.id; break;
+      case "role": value = options.getRole(option.name)?.id; break;
+      case "channel": value = options.getChannel(option.name)?.id; break;
+      case "attachment": value = toAttachmentArg(options.getAttachment(option.name)); break;
+    }
+    if (value !== null && value !== undefined) args[option.name] = value;
+  }
+
+  return args;
+}
+
+function toAttachmentArg(attachment) {
+  return attachment ? { name: attachment.name, url: attachment.url, size: attachment.size } : undefined;
+}
+
+function prefixUsage(def) {
+  const parts = (def.options || [])
+    .filter(o => o.type !== "attachment")
+    .map(o => (o.required ? `<${o.name}>` : `[${o.name}]`));
+  const files = (def.options || []).some(o => o.type === "attachment") ? " (attach the file to the message)" : "";
+  return `\`!${[def.name, ...parts].join(" ")}\`${files}`;
+}
+
+// Positional parsing for `!name arg1 arg2`; the last string option swallows the rest of the line.
+// Attachment options are filled from the message's attachments in order.
+function parsePrefixArgs(def, tokens, attachments = []) {
+  const args = {};
+  const options = def.options || [];
+  const positional = options.filter(o => o.type !== "attachment");
+  let nextAttachment = 0;
+
+  for (const option of options.filter(o => o.type === "attachment")) {
+    const attachment = attachments[nextAttachment++];
+    if (attachment) {
+      args[option.name] = toAttachmentArg(attachment);
+    } else if (option.required) {
+      return { error: `Usage: ${prefixUsage(def)}` };
+    }
+  }
+
+  for (let i = 0; i < positional.length; i++) {
+    const option = positional[i];
+    const isLast = i === positional.length - 1;
+    const raw = option.type === "string" && isLast ? tokens.slice(i).join(" ") : tokens[i];
+
+    if (!raw) {
+      if (option.required) return { error: `Usage: ${prefixUsage(def)}` };
+      continue;
+    }
+
+    switch (option.type) {
+      case "user":
+      case "role":
+      case "channel":
+        args[option.name] = raw.replace(/[<@!&#>]/g, "");
+        break;
+      case "boolean":
+        args[option.name] = TRUTHY.includes(raw.toLowerCase());
+        break;
+      case "integer": {
+        const value = Number.parseInt(raw, 10);
+        if (Number.isNaN(value)) return { error: `\`${option.name}\` must be a number. Usage: ${prefixUsage(def)}` };
+        args[option.name] = value;
+        break;
+      }
+      default:
+        if (option.choices && !option.choices.some(c => c.value === raw)) {
+          return { error: `\`${option.name}\` must be one of: ${option.choices.map(c => c.value).join(", ")}` };
+        }
+        args[option.name] = raw;
+    }
+  }
+
+  return { args };
+}
+
+// Returns up to 25 autocomplete choices for the focused option
+async function autocompleteChoices(def, interaction) {
+  const focused = interaction.options.getFocused(true);
+  const option = (def.options || []).find(o => o.name === focused.name);
+  if (!option?.autocomplete) return [];
+
+  const values = await option.autocomplete(focused.value, interaction);
+  return values.slice(0, 25).map(value =>
+    typeof value === "string" ? { name: value.slice(0, 100), value: value.slice(0, 100) } : value
+  );
+}
+
+module.exports = {
+  requiredPermission,
+  buildSlashCommand,
+  readSlashArgs,
+  parsePrefixArgs,
+  prefixUsage,
+  autocompleteChoices
+};
@@ -0,0 +1,586 @@
+// config.js
+// Loads and validates the bot configuration (roles, categories, domains, channels)
+// from a JSON or YAML file. Validation collects every problem instead of stopping
+// at the first, so a bad edit can be fixed in one pass.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { NICKNAME_MAX_LENGTH, TEMPLATE_VARS, templateVars } = require("./nicknames");
+
+const DEFAULT_CONFIG_FILE = "./config/bot.yaml";
+
+// Discord limits that the setup UI depends on
+const MAX_CATEGORIES = 25; // Select menu options
+const MAX_NAME_LENGTH = 100; // Role and channel names
+const MAX_DESCRIPTION_LENGTH = 100; // Select menu option descriptions
+const ROLE_ID_PATTERN = /^[a-z0-9-]{1,40}$/;
+
+// ====== VALIDATION HELPERS ======
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function checkName(errors, where, value) {
+  if (typeof value !== "string" || value.trim() === "") {
+    errors.push(`${where} must be a non-empty string`);
+    return false;
+  }
+  if (value.length > MAX_NAME_LENGTH) {
+    errors.push(`${where} must be at most ${MAX_NAME_LENGTH} characters`);
+    return false;
+  }
+  return true;
+}
+
+function checkNameList(errors, where, value, { allowEmpty = true } = {}) {
+  if (!Array.isArray(value)) {
+    errors.push(`${where} must be a list`);
+    return false;
+  }
+  if (!allowEmpty && value.length === 0) {
+    errors.push(`${where} must not be empty`);
+    return false;
+  }
+  let ok = true;
+  value.forEach((item, i) => {
+    ok = checkName(errors, `${where}[${i}]`, item) && ok;
+  });
+  return ok;
+}
+
+// Stable role IDs (used in button custom IDs) default to a slug of the name
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 40) || "role";
+}
+
+// A catalog entry is a role name or { name, id?, description?, emoji? }
+function normalizeRoleEntry(errors, where, entry, category) {
+  const fields = typeof entry === "string" ? { name: entry } : entry;
+  if (!isPlainObject(fields)) {
+    errors.push(`${where} must be a role name or a mapping with name, id, description and emoji`);
+    return null;
+  }
+  for (const key of Object.keys(fields)) {
+    if (!["name", "id", "description", "emoji"].includes(key)) errors.push(`unknown key "${where}.${key}"`);
+  }
+  if (!checkName(errors, `${where}.name`, fields.name)) return null;
+
+  const id = fields.id ?? slugify(fields.name);
+  if (typeof id !== "string" || !ROLE_ID_PATTERN.test(id)) {
+    errors.push(`${where}.id must be lowercase letters, digits and dashes (at most 40)`);
+  }
+  if (fields.description !== undefined &&
+      (typeof fields.description !== "string" || fields.description.length > MAX_DESCRIPTION_LENGTH)) {
+    errors.push(`${where}.description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+  if (fields.emoji !== undefined && (typeof fields.emoji !== "string" || fields.emoji.trim() === "")) {
+    errors.push(`${where}.emoji must be an emoji or a custom emoji like <:name:id>`);
+  }
+  return {
+    id,
+    name: fields.name,
+    description: fields.description || null,
+    emoji: fields.emoji || null,
+    category
+  };
+}
+
+// ====== SCHEMA ======
+const KNOWN_KEYS = [
+  "baseRole", "verifiedRole", "welcomeChannel", "emailDomains",
+  "programRoles", "protectedRoles", "roleCategories", "rosterRoles", "email", "mail", "auditLog", "reminders", "selectionRules", "approvals",
+  "channelAccess", "languages", "nicknames"
+];
+
+const EMAIL_DEFAULTS = {
+  brand: "Saavan'25",
+  organization: "IITM BS Fest",
+  defaultLanguage: "en",
+  welcomeOnComplete: false
+};
+
+const LANGUAGE_CODE = /^[a-z]{2}(-[A-Z]{2})?$/;
+const DEFAULT_LANGUAGES = ["en"];
+
+const MAIL_DEFAULTS = {
+  transport: "smtp",
+  ratePerMinute: 20,
+  ratePerDay: 450,
+  maxAttempts: 6,
+  outboxDir: "./data/outbox",
+  httpUrl: null
+};
+const MAIL_TRANSPORTS = ["smtp", "file", "http"];
+
+const AUDIT_DEFAULTS = {
+  channel: null,
+  file: "./data/audit.jsonl",
+  stdout: false,
+  skipEvents: []
+};
+
+const REMINDER_DEFAULTS = {
+  enabled: true,
+  afterHours: [24, 72],
+  email: false,
+  kickAfterDays: 0,
+  checkMinutes: 15
+};
+
+const SELECTION_DEFAULTS = {
+  multipleCategories: false,
+  minTotal: 0,
+  categories: {},
+  exclusiveGroups: []
+};
+
+const APPROVAL_DEFAULTS = {
+  reviewChannel: null,
+  email: true,
+  roles: {}
+};
+
+const CHANNEL_ACCESS_DEFAULTS = {
+  enforce: true,
+  applyDelayMs: 250,
+  newcomerChannels: [],
+  restricted: {},
+  unlocks: {}
+};
+
+const NICKNAME_CASINGS = ["title", "keep"];
+
+const NICKNAME_DEFAULTS = {
+  template: "{name}",
+  casing: "title",
+  minLength: 2,
+  bannedWords: []
+};
+
+function checkPositiveInt(errors, where, value) {
+  if (!Number.isInteger(value) || value < 1) errors.push(`${where} must be a whole number of at least 1`);
+}
+
+function validateConfig(raw) {
+  const errors = [];
+
+  if (!isPlainObject(raw)) {
+    return { errors: ["config must be an object at the top level"] };
+  }
+
+  for (const key of Object.keys(raw)) {
+    if (!KNOWN_KEYS.includes(key)) errors.push(`unknown key "${key}"`);
+  }
+
+  checkName(errors, "baseRole", raw.baseRole);
+  checkName(errors, "verifiedRole", raw.verifiedRole);
+  checkName(errors, "welcomeChannel", raw.welcomeChannel);
+
+  if (checkNameList(errors, "emailDomains", raw.emailDomains, { allowEmpty: false })) {
+    raw.emailDomains.forEach((domain, i) => {
+      if (domain.includes("@") || !domain.includes(".")) {
+        errors.push(`emailDomains[${i}] should be a bare domain like "ds.study.iitm.ac.in"`);
+      }
+    });
+  }
+
+  const programRoles = raw.programRoles ?? {};
+  if (!isPlainObject(programRoles)) {
+    errors.push("programRoles must be a mapping of email domain to role name");
+  } else {
+    for (const [domain, role] of Object.entries(programRoles)) {
+      checkName(errors, `programRoles.${domain}`, role);
+      if (Array.isArray(raw.emailDomains) && !raw.emailDomains.includes(domain)) {
+        errors.push(`programRoles.${domain} is not one of emailDomains`);
+      }
+    }
+  }
+
+  const protectedRoles = raw.protectedRoles ?? [];
+  checkNameList(errors, "protectedRoles", protectedRoles);
+
+  // roleCategories (category -> role names) and roleCatalog (role details) are both
+  // built from the same entries
+  const roleCategories = {};
+  const roleCatalog = [];
+  if (!isPlainObject(raw.roleCategories) || Object.keys(raw.roleCategories).length === 0) {
+    errors.push("roleCategories must map at least one category name to a list of roles");
+  } else {
+    const categories = Object.entries(raw.roleCategories);
+    if (categories.length > MAX_CATEGORIES) {
+      errors.push(`roleCategories has ${categories.length} categories, Discord menus allow at most ${MAX_CATEGORIES}`);
+    }
+    const seen = new Map();
+    const seenIds = new Map();
+    for (const [category, entries] of categories) {
+      if (!Array.isArray(entries) || entries.length === 0) {
+        errors.push(`roleCategories.${category} must be a non-empty list`);
+        continue;
+      }
+      roleCategories[category] = [];
+      entries.forEach((entry, i) => {
+        const role = normalizeRoleEntry(errors, `roleCategories.${category}[${i}]`, entry, category);
+        if (!role) return;
+        if (seen.has(role.name)) {
+          errors.push(`role "${role.name}" is listed in both ${seen.get(role.name)} and ${category}`);
+        }
+        if (seenIds.has(role.id)) {
+          errors.push(`role id "${role.id}" of "${role.name}" is also used by "${seenIds.get(role.id)}"`);
+        }
+        seen.set(role.name, category);
+        seenIds.set(role.id, role.name);
+        if (Array.isArray(protectedRoles) && protectedRoles.includes(role.name)) {
+          errors.push(`role "${role.name}" in roleCategories.${category} is also a protected role`);
+        }
+        roleCategories[category].push(role.name);
+        roleCatalog.push(role);
+      });
+    }
+  }
+
+  // Roster roles are granted from the uploaded registration roster, never self-selected
+  const rosterRoles = raw.rosterRoles ?? [];
+  if (checkNameList(errors, "rosterRoles", rosterRoles) && Array.isArray(protectedRoles)) {
+    for (const role of rosterRoles) {
+      if (protectedRoles.includes(role)) errors.push(`rosterRoles "${role}" is also a protected role`);
+    }
+  }
+
+  // Branding and language for email templates
+  const email = { ...EMAIL_DEFAULTS, ...(raw.email ?? {}) };
+  if (!isPlainObject(raw.email ?? {})) {
+    errors.push("email must be a mapping");
+  } else {
+    for (const key of Object.keys(raw.email ?? {})) {
+      if (!(key in EMAIL_DEFAULTS)) errors.push(`unknown key "email.${key}"`);
+    }
+    checkName(errors, "email.brand", email.brand);
+    checkName(errors, "email.organization", email.organization);
+    if (typeof email.defaultLanguage !== "string" || !LANGUAGE_CODE.test(email.defaultLanguage)) {
+      errors.push('email.defaultLanguage must be a language code like "en" or "hi"');
+    }
+    if (typeof email.welcomeOnComplete !== "boolean") errors.push("email.welcomeOnComplete must be true or false");
+  }
+
+  // Languages members can pick for bot messages and emails; email.defaultLanguage is the default
+  const languages = raw.languages ?? DEFAULT_LANGUAGES;
+  if (!Array.isArray(languages) || languages.length === 0 || !languages.every(l => typeof l === "string" && LANGUAGE_CODE.test(l))) {
+    errors.push('languages must be a list of language codes like "en" or "hi"');
+  } else if (!languages.includes(email.defaultLanguage)) {
+    errors.push(`languages must include email.defaultLanguage "${email.defaultLanguage}"`);
+  }
+
+  // Outbound mail transport and queue limits (credentials stay in the environment)
+  const mail = { ...MAIL_DEFAULTS, ...(raw.mail ?? {}) };
+  if (!isPlainObject(raw.mail ?? {})) {
+    errors.push("mail must be a mapping");
+  } else {
+    for (const key of Object.keys(raw.mail ?? {})) {
+      if (!(key in MAIL_DEFAULTS)) errors.push(`unknown key "mail.${key}"`);
+    }
+    if (!MAIL_TRANSPORTS.includes(mail.transport)) {
+      errors.push(`mail.transport must be one of: ${MAIL_TRANSPORTS.join(", ")}`);
+    }
+    checkPositiveInt(errors, "mail.ratePerMinute", mail.ratePerMinute);
+    checkPositiveInt(errors, "mail.ratePerDay", mail.ratePerDay);
+    checkPositiveInt(errors, "mail.maxAttempts", mail.maxAttempts);
+    checkName(errors, "mail.outboxDir", mail.outboxDir);
+    if (mail.transport === "http" && !/^https?:\/\//.test(mail.httpUrl || "")) {
+      errors.push("mail.httpUrl must be an http(s) URL when mail.transport is http");
+    }
+  }
+
+  // Moderator audit log: JSON-lines file plus embeds in a mod-log channel (name or ID)
+  const auditLog = { ...AUDIT_DEFAULTS, ...(raw.auditLog ?? {}) };
+  if (!isPlainObject(raw.auditLog ?? {})) {
+    errors.push("auditLog must be a mapping");
+  } else {
+    for (const key of Object.keys(raw.auditLog ?? {})) {
+      if (!(key in AUDIT_DEFAULTS)) errors.push(`unknown key "auditLog.${key}"`);
+    }
+    if (auditLog.channel !== null) checkName(errors, "auditLog.channel", String(auditLog.channel));
+    checkName(errors, "auditLog.file", auditLog.file);
+    if (typeof auditLog.stdout !== "boolean") errors.push("auditLog.stdout must be true or false");
+    checkNameList(errors, "auditLog.skipEvents", auditLog.skipEvents);
+  }
+
+  // Nudges for members stuck in onboarding, and optional kick of those who never finish
+  const reminders = { ...REMINDER_DEFAULTS, ...(raw.reminders ?? {}) };
+  if (!isPlainObject(raw.reminders ?? {})) {
+    errors.push("reminders must be a mapping");
+  } else {
+    for (const key of Object.keys(raw.reminders ?? {})) {
+      if (!(key in REMINDER_DEFAULTS)) errors.push(`unknown key "reminders.${key}"`);
+    }
+    if (typeof reminders.enabled !== "boolean") errors.push("reminders.enabled must be true or false");
+    if (typeof reminders.email !== "boolean") errors.push("reminders.email must be true or false");
+    if (!Array.isArray(reminders.afterHours)) {
+      errors.push("reminders.afterHours must be a list of hours");
+    } else {
+      reminders.afterHours.forEach((hours, i) => checkPositiveInt(errors, `reminders.afterHours[${i}]`, hours));
+      if (reminders.afterHours.some((hours, i) => i > 0 && hours <= reminders.afterHours[i - 1])) {
+        errors.push("reminders.afterHours must be in increasing order");
+      }
+    }
+    if (!Number.isInteger(reminders.kickAfterDays) || reminders.kickAfterDays < 0) {
+      errors.push("reminders.kickAfterDays must be a whole number (0 disables kicking)");
+    } else if (reminders.kickAfterDays > 0 && Array.isArray(reminders.afterHours) &&
+      reminders.kickAfterDays * 24 <= Math.max(0, ...reminders.afterHours)) {
+      errors.push("reminders.kickAfterDays must be later than the last afterHours reminder");
+    }
+    checkPositiveInt(errors, "reminders.checkMinutes", reminders.checkMinutes);
+  }
+
+  // Limits on what the role picker lets a member finish setup with
+  const selectionRules = { ...SELECTION_DEFAULTS, ...(raw.selectionRules ?? {}) };
+  if (!isPlainObject(raw.selectionRules ?? {})) {
+    errors.push("selectionRules must be a mapping");
+  } else {
+    for (const key of Object.keys(raw.selectionRules ?? {})) {
+      if (!(key in SELECTION_DEFAULTS)) errors.push(`unknown key "selectionRules.${key}"`);
+    }
+    if (typeof selectionRules.multipleCategories !== "boolean") {
+      errors.push("selectionRules.multipleCategories must be true or false");
+    }
+    if (!Number.isInteger(selectionRules.minTotal) || selectionRules.minTotal < 0) {
+      errors.push("selectionRules.minTotal must be a whole number");
+    }
+    const categoryNames = Object.keys(roleCategories);
+    if (!isPlainObject(selectionRules.categories)) {
+      errors.push("selectionRules.categories must map category names to { min, max }");
+    } else {
+      for (const [category, limits] of Object.entries(selectionRules.categories)) {
+        const where = `selectionRules.categories.${category}`;
+        if (!categoryNames.includes(category)) errors.push(`${where} is not one of roleCategories`);
+        if (!isPlainObject(limits)) {
+          errors.push(`${where} must be a mapping with min and/or max`);
+          continue;
+        }
+        for (const key of Object.keys(limits)) {
+          if (key !== "min" && key !== "max") errors.push(`unknown key "${where}.${key}"`);
+          else if (!Number.isInteger(limits[key]) || limits[key] < 0) errors.push(`${where}.${key} must be a whole number`);
+        }
+        if (Number.isInteger(limits.min) && Number.isInteger(limits.max) && limits.min > limits.max) {
+          errors.push(`${where}.min is greater than max`);
+        }
+        // Roster roles don't count toward the rules, so a limit on them can't be met or enforced
+        const rosterInCategory = Array.isArray(rosterRoles) && Array.isArray(roleCategories[category])
+          ? roleCategories[category].filter(role => rosterRoles.includes(role))
+          : [];
+        if (rosterInCategory.length > 0) {
+          errors.push(`${where} limits a category with roster roles (${rosterInCategory.join(", ")})`);
+        }
+      }
+    }
+    if (!Array.isArray(selectionRules.exclusiveGroups)) {
+      errors.push("selectionRules.exclusiveGroups must be a list of role lists");
+    } else {
+      const selectable = Object.values(roleCategories).flat();
+      selectionRules.exclusiveGroups.forEach((group, i) => {
+        const where = `selectionRules.exclusiveGroups[${i}]`;
+        if (!checkNameList(errors, where, group, { allowEmpty: false })) return;
+        if (group.length < 2) errors.push(`${where} needs at least two roles`);
+        for (const role of group) {
+          if (!selectable.includes(role)) errors.push(`${where} "${role}" is not in roleCategories`);
+          else if (Array.isArray(rosterRoles) && rosterRoles.includes(role)) errors.push(`${where} "${role}" is a roster role`);
+        }
+      });
+    }
+  }
+
+  // Roles granted only after a designated head approves the request
+  const approvals = { ...APPROVAL_DEFAULTS, ...(raw.approvals ?? {}) };
+  if (!isPlainObject(raw.approvals ?? {})) {
+    errors.push("approvals must be a mapping");
+  } else {
+    for (const key of Object.keys(raw.approvals ?? {})) {
+      if (!(key in APPROVAL_DEFAULTS)) errors.push(`unknown key "approvals.${key}"`);
+    }
+    if (typeof approvals.email !== "boolean") errors.push("approvals.email must be true or false");
+    if (!isPlainObject(approvals.roles)) {
+      errors.push("approvals.roles must map a role name to the roles allowed to approve it");
+    } else {
+      const selectable = Object.values(roleCategories).flat();
+      for (const [role, approvers] of Object.entries(approvals.roles)) {
+        if (!selectable.includes(role)) errors.push(`approvals.roles "${role}" is not in roleCategories`);
+        if (Array.isArray(rosterRoles) && rosterRoles.includes(role)) {
+          errors.push(`approvals.roles "${role}" is a roster role`);
+        }
+        checkNameList(errors, `approvals.roles.${role}`, approvers, { allowEmpty: false });
+      }
+      if (Object.keys(approvals.roles).length > 0 && approvals.reviewChannel === null) {
+        errors.push("approvals.reviewChannel is required when approvals.roles is set");
+      }
+    }
+    if (approvals.reviewChannel !== null) checkName(errors, "approvals.reviewChannel", String(approvals.reviewChannel));
+  }
+
+  // Which roles may see which channels; everything else is hidden from the base role
+  const channelAccess = { ...CHANNEL_ACCESS_DEFAULTS, ...(raw.channelAccess ?? {}) };
+  if (!isPlainObject(raw.channelAccess ?? {})) {
+    errors.push("channelAccess must be a mapping");
+  } else {
+    for (const key of Object.keys(raw.channelAccess ?? {})) {
+      if (!(key in CHANNEL_ACCESS_DEFAULTS)) errors.push(`unknown key "channelAccess.${key}"`);
+    }
+    if (typeof channelAccess.enforce !== "boolean") errors.push("channelAccess.enforce must be true or false");
+    if (!Number.isInteger(channelAccess.applyDelayMs) || channelAccess.applyDelayMs < 0) {
+      errors.push("channelAccess.applyDelayMs must be a whole number of milliseconds");
+    }
+    channelAccess.newcomerChannels = (channelAccess.newcomerChannels ?? []).map(String);
+    checkNameList(errors, "channelAccess.newcomerChannels", channelAccess.newcomerChannels);
+    if (!isPlainObject(channelAccess.restricted)) {
+      errors.push("channelAccess.restricted must map a channel or category to the roles that can see it");
+    } else {
+      for (const [channel, roles] of Object.entries(channelAccess.restricted)) {
+        checkName(errors, `channelAccess.restricted "${channel}"`, channel);
+        checkNameList(errors, `channelAccess.restricted.${channel}`, roles, { allowEmpty: false });
+      }
+    }
+    if (!isPlainObject(channelAccess.unlocks)) {
+      errors.push("channelAccess.unlocks must map a role to the channels or categories it unlocks");
+    } else {
+      const catalogued = Object.values(roleCategories).flat();
+      for (const [role, channels] of Object.entries(channelAccess.unlocks)) {
+        if (!catalogued.includes(role)) errors.push(`channelAccess.unlocks "${role}" is not in roleCategories`);
+        if (Array.isArray(channels)) channelAccess.unlocks[role] = channels.map(String);
+        checkNameList(errors, `channelAccess.unlocks.${role}`, channelAccess.unlocks[role], { allowEmpty: false });
+      }
+    }
+  }
+
+  // How member names are checked and turned into nicknames
+  const nicknames = { ...NICKNAME_DEFAULTS, ...(raw.nicknames ?? {}) };
+  if (!isPlainObject(raw.nicknames ?? {})) {
+    errors.push("nicknames must be a mapping");
+  } else {
+    for (const key of Object.keys(raw.nicknames ?? {})) {
+      if (!(key in NICKNAME_DEFAULTS)) errors.push(`unknown key "nicknames.${key}"`);
+    }
+    if (typeof nicknames.template !== "string") {
+      errors.push("nicknames.template must be a string");
+    } else {
+      const vars = templateVars(nicknames.template);
+      for (const name of vars.filter(v => !TEMPLATE_VARS.includes(v))) {
+        errors.push(`nicknames.template has unknown placeholder {${name}} (use ${TEMPLATE_VARS.map(v => `{${v}}`).join(", ")})`);
+      }
+      if (!vars.includes("name") && !vars.includes("firstName")) {
+        errors.push("nicknames.template must include {name} or {firstName}");
+      }
+    }
+    if (!NICKNAME_CASINGS.includes(nicknames.casing)) {
+      errors.push(`nicknames.casing must be one of: ${NICKNAME_CASINGS.join(", ")}`);
+    }
+    if (!Number.isInteger(nicknames.minLength) || nicknames.minLength < 1 || nicknames.minLength > NICKNAME_MAX_LENGTH) {
+      errors.push(`nicknames.minLength must be a whole number from 1 to ${NICKNAME_MAX_LENGTH}`);
+    }
+    checkNameList(errors, "nicknames.bannedWords", nicknames.bannedWords);
+  }
+
+  if (errors.length > 0) return { errors };
+
+  return {
+    errors: [],
+    config: {
+      baseRole: raw.baseRole,
+      verifiedRole: raw.verifiedRole,
+      welcomeChannel: raw.welcomeChannel,
+      emailDomains: raw.emailDomains.map(d => d.toLowerCase()),
+      programRoles: Object.fromEntries(
+        Object.entries(programRoles).map(([domain, role]) => [domain.toLowerCase(), role])
+      ),
+      protectedRoles,
+      roleCategories,
+      roleCatalog,
+      rosterRoles,
+      email,
+      mail,
+      auditLog: { ...auditLog, channel: auditLog.channel === null ? null : String(auditLog.channel) },
+      reminders,
+      selectionRules,
+      approvals: { ...approvals, reviewChannel: approvals.reviewChannel === null ? null : String(approvals.reviewChannel) },
+      channelAccess,
+      languages: [...new Set(languages)],
+      nicknames
+    }
+  };
+}
+
+// ====== LOADING ======
+function parseConfigFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const ext = path.extname(file).toLowerCase();
+  return ext === ".yaml" || ext === ".yml" ? YAML.parse(text) : JSON.parse(text);
+}
+
+// Returns { file, config } on success or { file, errors } listing every problem
+function loadConfig(file = DEFAULT_CONFIG_FILE) {
+  let raw;
+  try {
+    raw = parseConfigFile(file);
+  } catch (error) {
+    return { file, errors: [`could not read ${file}: ${error.message}`] };
+  }
+  return { file, ...validateConfig(raw) };
+}
+
+// Config names that don't exist in the guild, for the admin mismatch report
+function findConfigMismatches(config, guild) {
+  const roleExists = (name) => guild.roles.cache.some(r => r.name === name);
+  const problems = [];
+
+  if (!roleExists(config.baseRole)) problems.push(`baseRole "${config.baseRole}" not found`);
+  if (!roleExists(config.verifiedRole)) problems.push(`verifiedRole "${config.verifiedRole}" not found`);
+  if (!guild.channels.cache.some(c => c.name === config.welcomeChannel)) {
+    problems.push(`welcomeChannel "${config.welcomeChannel}" not found`);
+  }
+  for (const [domain, role] of Object.entries(config.programRoles)) {
+    if (!roleExists(role)) problems.push(`programRoles.${domain} "${role}" not found`);
+  }
+  for (const role of config.protectedRoles) {
+    if (!roleExists(role)) problems.push(`protectedRoles "${role}" not found`);
+  }
+  for (const [category, roles] of Object.entries(config.roleCategories)) {
+    for (const role of roles) {
+      if (!roleExists(role)) problems.push(`roleCategories.${category} "${role}" not found`);
+    }
+  }
+  for (const role of config.rosterRoles) {
+    if (!roleExists(role)) problems.push(`rosterRoles "${role}" not found`);
+  }
+  const reviewChannel = config.approvals.reviewChannel;
+  if (reviewChannel && !guild.channels.cache.some(c => c.id === reviewChannel || c.name === reviewChannel)) {
+    problems.push(`approvals.reviewChannel "${reviewChannel}" not found`);
+  }
+  for (const [role, approvers] of Object.entries(config.approvals.roles)) {
+    for (const approver of approvers) {
+      if (!roleExists(approver)) problems.push(`approvals.roles.${role} approver "${approver}" not found`);
+    }
+  }
+  const auditChannel = config.auditLog.channel;
+  if (auditChannel && !guild.channels.cache.some(c => c.id === auditChannel || c.name === auditChannel)) {
+    problems.push(`auditLog.channel "${auditChannel}" not found`);
+  }
+  const channelExists = (ref) => guild.channels.cache.some(c => c.id === ref || c.name === ref);
+  for (const channel of config.channelAccess.newcomerChannels) {
+    if (!channelExists(channel)) problems.push(`channelAccess.newcomerChannels "${channel}" not found`);
+  }
+  for (const [channel, roles] of Object.entries(config.channelAccess.restricted)) {
+    if (!channelExists(channel)) problems.push(`channelAccess.restricted "${channel}" not found`);
+    for (const role of roles) {
+      if (!roleExists(role)) problems.push(`channelAccess.restricted.${channel} role "${role}" not found`);
+    }
+  }
+  for (const [role, channels] of Object.entries(config.channelAccess.unlocks)) {
+    for (const channel of channels) {
+      if (!channelExists(channel)) problems.push(`channelAccess.unlocks.${role} channel "${channel}" not found`);
+    }
+  }
+
+  return problems;
+}
+
+module.exports = { DEFAULT_CONFIG_FILE, loadConfig, validateConfig, findConfigMismatches };
@@ -0,0 +1,83 @@
+// export.js
+// Registration export for the fest team: filtering plus CSV/JSON rendering.
+// Rows are plain objects built from the member registry by the bot.
+
+"use strict";
+
+const COLUMNS = [
+  ["fullName", "Full Name"],
+  ["email", "Student Email"],
+  ["discordTag", "Discord Tag"],
+  ["discordId", "Discord ID"],
+  ["category", "Category"],
+  ["roles", "Roles"],
+  ["verifiedAt", "Verified At"],
+  ["completedAt", "Completed At"]
+];
+
+const FORMATS = ["csv", "json"];
+
+// "2025-02-14" or a full ISO timestamp; date-only upper bounds cover the whole day
+function parseDateBound(value, { endOfDay = false } = {}) {
+  if (!value) return null;
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly ? `${value}T00:00:00Z` : value);
+  if (Number.isNaN(date.getTime())) return undefined;
+  if (dateOnly && endOfDay) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+}
+
+// Returns { filters } or { error } for user-supplied role/category/since/until
+function parseExportFilters({ role, category, since, until } = {}) {
+  const from = parseDateBound(since);
+  const to = parseDateBound(until, { endOfDay: true });
+  if (from === undefined) return { error: `Invalid since date "${since}" (use YYYY-MM-DD)` };
+  if (to === undefined) return { error: `Invalid until date "${until}" (use YYYY-MM-DD)` };
+  return { filters: { role: role || null, category: category || null, from, to } };
+}
+
+function filterRegistrations(rows, { role, category, from, to }) {
+  return rows.filter(row => {
+    if (role && !row.roles.some(r => r.toLowerCase() === role.toLowerCase())) return false;
+    // Members may pick roles from several categories ("Development, Creative")
+    if (category && !(row.category || "").toLowerCase().split(", ").includes(category.toLowerCase())) return false;
+    const completed = row.completedAt ? new Date(row.completedAt) : null;
+    if (from && (!completed || completed < from)) return false;
+    if (to && (!completed || completed >= to)) return false;
+    return true;
+  });
+}
+
+// Quote for CSV and neutralise spreadsheet formulas (=, +, -, @) in user-entered text
+function csvCell(value) {
+  let text = Array.isArray(value) ? value.join("; ") : value == null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = [COLUMNS.map(([, header]) => csvCell(header)).join(",")];
+  for (const row of rows) {
+    lines.push(COLUMNS.map(([key]) => csvCell(row[key])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+function toJson(rows) {
+  return JSON.stringify(
+    rows.map(row => Object.fromEntries(COLUMNS.map(([key]) => [key, row[key] ?? null]))),
+    null,
+    2
+  );
+}
+
+// Returns { body, contentType, filename } ready to send as a download
+function renderExport(rows, format = "csv") {
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === "json") {
+    return { body: toJson(rows), contentType: "application/json", filename: `registrations-${stamp}.json` };
+  }
+  return { body: toCsv(rows), contentType: "text/csv; charset=utf-8", filename: `registrations-${stamp}.csv` };
+}
+
+module.exports = { FORMATS, parseExportFilters, filterRegistrations, renderExport };
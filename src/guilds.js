@@ -0,0 +1,106 @@
+// guilds.js
+// Which servers the bot onboards members into. Each guild has its own config file
+// (roles, domains, channels), role-selection channel and storage file, listed in a
+// YAML/JSON guilds file:
+//
+//   guilds:
+//     - id: "123456789012345678"
+//       roleChannel: "234567890123456789"
+//       config: ./config/bot.yaml
+//       modChannel: "345678901234567890"   # optional
+//       storage: ./data/saavan.db           # optional, defaults to ./data/guild-<id>.db
+//
+// Without a guilds file the single guild from GUILD_ID / ROLE_CHANNEL_ID / BOT_CONFIG /
+// MOD_CHANNEL_ID is used, sharing the main storage file as before. The first guild is
+// the primary one: its `mail` settings drive the shared mail queue.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+
+const SNOWFLAKE = /^\d{15,22}$/;
+const ENTRY_KEYS = ["id", "roleChannel", "config", "modChannel", "storage"];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function defaultStoragePath(driver, guildId) {
+  return `./data/guild-${guildId}.${driver === "json" ? "json" : "db"}`;
+}
+
+function validateGuildEntries(raw, { driver }) {
+  const errors = [];
+  if (!isPlainObject(raw) || !Array.isArray(raw.guilds) || raw.guilds.length === 0) {
+    return { errors: ["guilds file must contain a non-empty `guilds` list"] };
+  }
+
+  const guilds = [];
+  raw.guilds.forEach((entry, i) => {
+    const where = `guilds[${i}]`;
+    if (!isPlainObject(entry)) {
+      errors.push(`${where} must be a mapping`);
+      return;
+    }
+    for (const key of Object.keys(entry)) {
+      if (!ENTRY_KEYS.includes(key)) errors.push(`unknown key "${where}.${key}"`);
+    }
+    const id = String(entry.id ?? "");
+    const roleChannel = String(entry.roleChannel ?? "");
+    if (!SNOWFLAKE.test(id)) errors.push(`${where}.id must be a server ID`);
+    if (!SNOWFLAKE.test(roleChannel)) errors.push(`${where}.roleChannel must be a channel ID`);
+    if (entry.modChannel !== undefined && !SNOWFLAKE.test(String(entry.modChannel))) {
+      errors.push(`${where}.modChannel must be a channel ID`);
+    }
+    if (typeof entry.config !== "string" || entry.config.trim() === "") {
+      errors.push(`${where}.config must be the path of the guild's bot config`);
+    }
+    if (entry.storage !== undefined && (typeof entry.storage !== "string" || entry.storage.trim() === "")) {
+      errors.push(`${where}.storage must be a file path`);
+    }
+    if (guilds.some(g => g.id === id)) errors.push(`${where}.id ${id} is listed twice`);
+
+    guilds.push({
+      id,
+      roleChannel,
+      modChannel: entry.modChannel === undefined ? null : String(entry.modChannel),
+      config: entry.config,
+      storage: entry.storage || defaultStoragePath(driver, id)
+    });
+  });
+
+  const storages = guilds.map(g => path.resolve(g.storage));
+  if (new Set(storages).size !== storages.length) errors.push("each guild needs its own storage file");
+
+  return errors.length > 0 ? { errors } : { errors: [], guilds };
+}
+
+// Returns { guilds } or { errors }. env supplies the single-guild fallback.
+function loadGuildEntries({ file, env, driver, defaultConfigFile }) {
+  if (!file) {
+    if (!env.GUILD_ID || !env.ROLE_CHANNEL_ID) return { errors: ["set GUILD_ID and ROLE_CHANNEL_ID, or GUILDS_CONFIG"] };
+    return {
+      errors: [],
+      guilds: [{
+        id: env.GUILD_ID,
+        roleChannel: env.ROLE_CHANNEL_ID,
+        modChannel: env.MOD_CHANNEL_ID || null,
+        config: env.BOT_CONFIG || defaultConfigFile,
+        storage: null // the main storage file
+      }]
+    };
+  }
+
+  let raw;
+  try {
+    const text = fs.readFileSync(file, "utf8");
+    raw = [".yaml", ".yml"].includes(path.extname(file).toLowerCase()) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    return { errors: [`could not read ${file}: ${error.message}`] };
+  }
+  return validateGuildEntries(raw, { driver });
+}
+
+module.exports = { loadGuildEntries, validateGuildEntries };
@@ -0,0 +1,94 @@
+// magicLink.js
+// Browser side of magic-link verification. The emailed link opens a confirmation
+// page (GET) and only the button press (POST) spends the single-use token, so mail
+// scanners that prefetch links can't burn it.
+
+"use strict";
+
+const express = require("express");
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function renderPage({ title, message, action = null, tone = "info", language = "en" }) {
+  const accent = { info: "#0b5fff", success: "#16a34a", error: "#dc2626" }[tone];
+  const form = action
+    ? `<form method="post" action="${escapeHtml(action.url)}">
+         <button type="submit" style="margin-top:16px; background:${accent}; color:#fff; border:0; border-radius:10px; padding:12px 22px; font-size:16px; font-weight:600; cursor:pointer;">${escapeHtml(action.label)}</button>
+       </form>`
+    : "";
+
+  return `<!doctype html>
+<html lang="${escapeHtml(language)}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body style="font-family: -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif; background:#f3f4f6; margin:0; padding:24px; color:#111827;">
+  <div style="max-width:480px; margin:40px auto; background:#fff; border:1px solid #e5e7eb; border-radius:14px; padding:28px; text-align:center;">
+    <div style="font-size:22px; font-weight:700; color:${accent};">${escapeHtml(title)}</div>
+    <p style="margin:14px 0 0 0; line-height:1.5;">${escapeHtml(message)}</p>
+    ${form}
+  </div>
+</body>
+</html>`;
+}
+
+// readToken(token) -> parsed token or null; consume(parsed) -> { ok, title, message };
+// translate(parsed) -> say(key) in the language of the link's member (parsed may be null)
+function createMagicLinkRouter({ readToken, consume, translate }) {
+  const router = express.Router();
+
+  function expiredPage(say) {
+    return renderPage({ title: say("link.expiredTitle"), message: say("link.invalid"), tone: "error", language: say.language });
+  }
+
+  router.use((req, res, next) => {
+    res.set("Cache-Control", "no-store");
+    res.set("Referrer-Policy", "no-referrer"); // Keep the token out of outbound Referer headers
+    next();
+  });
+
+  router.get("/:token", (req, res) => {
+    const parsed = readToken(req.params.token);
+    const say = translate(parsed);
+    if (!parsed || Date.now() > parsed.expires) {
+      res.status(410).send(expiredPage(say));
+      return;
+    }
+    res.send(renderPage({
+      title: say("link.confirmTitle"),
+      message: say("link.confirm"),
+      action: { url: req.originalUrl, label: say("link.confirmButton") },
+      language: say.language
+    }));
+  });
+
+  router.post("/:token", async (req, res) => {
+    const parsed = readToken(req.params.token);
+    const say = translate(parsed);
+    if (!parsed || Date.now() > parsed.expires) {
+      res.status(410).send(expiredPage(say));
+      return;
+    }
+    const result = await consume(parsed);
+    res.status(result.ok ? 200 : 409).send(renderPage({
+      title: result.title,
+      message: result.message,
+      tone: result.ok ? "success" : "error",
+      language: say.language
+    }));
+  });
+
+  return router;
+}
+
+module.exports = { createMagicLinkRouter, escapeHtml };
@@ -0,0 +1,291 @@
+// mail.js
+// Outbound mail: pluggable transports plus a persisted queue with retries,
+// exponential backoff, a global send-rate limit and a dead-letter list.
+//
+// Transports (config `mail.transport`):
+//   smtp - nodemailer SMTP using the SMTP_* environment variables
+//   file - writes each message as JSON into mail.outboxDir (local runs, nothing is sent)
+//   http - POSTs { from, to, subject, text, html } as JSON to mail.httpUrl (MAIL_HTTP_TOKEN as Bearer)
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// ====== TRANSPORTS ======
+function createSmtpTransport({ host, port, user, pass }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: Number(port) === 465, // true for 465, false for other ports
+    auth: { user, pass }
+  });
+  return {
+    name: "smtp",
+    sendMail: (message) => transporter.sendMail(message)
+  };
+}
+
+function createFileTransport({ outboxDir }) {
+  const transporter = nodemailer.createTransport({ jsonTransport: true });
+  return {
+    name: "file",
+    async sendMail(message) {
+      const info = await transporter.sendMail(message);
+      fs.mkdirSync(outboxDir, { recursive: true });
+      const file = path.join(outboxDir, `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`);
+      fs.writeFileSync(file, info.message);
+      return { messageId: info.messageId, file };
+    }
+  };
+}
+
+function createHttpTransport({ url, token }) {
+  return {
+    name: "http",
+    async sendMail(message) {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: JSON.stringify({
+          from: message.from,
+          to: message.to,
+          subject: message.subject,
+          text: message.text,
+          html: message.html
+        })
+      });
+      if (!response.ok) {
+        const error = new Error(`Mail API responded ${response.status}: ${(await response.text()).slice(0, 200)}`);
+        error.permanent = response.status >= 400 && response.status < 500 && response.status !== 429;
+        throw error;
+      }
+      return { status: response.status };
+    }
+  };
+}
+
+function createMailTransport(mailConfig, env) {
+  switch (mailConfig.transport) {
+    case "smtp":
+      return createSmtpTransport({ host: env.SMTP_HOST, port: env.SMTP_PORT, user: env.SMTP_USER, pass: env.SMTP_PASS });
+    case "file":
+      return createFileTransport({ outboxDir: mailConfig.outboxDir });
+    case "http":
+      return createHttpTransport({ url: mailConfig.httpUrl, token: env.MAIL_HTTP_TOKEN });
+    default:
+      throw new Error(`Unknown mail transport "${mailConfig.transport}"`);
+  }
+}
+
+// SMTP 5xx replies (bad mailbox, rejected sender) won't succeed on retry
+function isPermanentError(error) {
+  if (error.permanent) return true;
+  return typeof error.responseCode === "number" && error.responseCode >= 500 && error.responseCode < 600;
+}
+
+// ====== QUEUE ======
+const DEFAULT_LIMITS = { ratePerMinute: 20, ratePerDay: 450, maxAttempts: 6 };
+
+// getTransport and getLimits are functions so a config reload applies without losing queue state
+function createMailQueue({
+  storage,
+  getTransport,
+  getLimits = () => ({}),
+  baseDelayMs = 30 * 1000,
+  maxDelayMs = 30 * MINUTE_MS,
+  onDeadLetter = () => {}
+}) {
+  const queue = storage.collection("mail_queue");
+  const deadLetters = storage.collection("mail_dead_letters");
+  const quota = storage.collection("mail_quota");
+
+  const waiters = new Map(); // jobId -> resolve(status) for callers awaiting the first attempt
+  let timer = null;
+  let running = false;
+
+  const limits = () => ({ ...DEFAULT_LIMITS, ...getLimits() });
+
+  // Sliding windows over recent send timestamps, persisted so restarts don't reset the quota
+  function recentSends() {
+    const cutoff = Date.now() - DAY_MS;
+    return ((quota.get("sent") || {}).at || []).filter(ts => ts > cutoff);
+  }
+
+  function quotaWaitMs() {
+    const { ratePerMinute, ratePerDay } = limits();
+    const sends = recentSends();
+    const lastMinute = sends.filter(ts => ts > Date.now() - MINUTE_MS);
+    if (sends.length >= ratePerDay) return sends[0] + DAY_MS - Date.now();
+    if (lastMinute.length >= ratePerMinute) return lastMinute[0] + MINUTE_MS - Date.now();
+    return 0;
+  }
+
+  function recordQuota() {
+    quota.set("sent", { at: [...recentSends(), Date.now()] });
+  }
+
+  function backoff(attempts) {
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.4)); // ±20% jitter so retries don't bunch up
+  }
+
+  function settle(jobId, status) {
+    const resolve = waiters.get(jobId);
+    if (resolve) {
+      waiters.delete(jobId);
+      resolve(status);
+    }
+  }
+
+  function schedule(delayMs = 0) {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(processDue, Math.max(0, delayMs));
+    timer.unref?.();
+  }
+
+  function deadLetter(job, attempts, lastError) {
+    const dead = { ...job, attempts, lastError, failedAt: new Date().toISOString() };
+    deadLetters.set(job.id, dead); // Before removing it from the queue so a storage error can't lose it
+    queue.delete(job.id);
+    console.error(`Mail ${job.id} to ${job.message.to} dead-lettered after ${attempts} attempt(s): ${lastError}`);
+    settle(job.id, "failed");
+    onDeadLetter(dead);
+  }
+
+  // meta.expiresAt marks mail that is useless once late (verification codes)
+  const expired = (job, at = Date.now()) => Boolean(job.meta.expiresAt) && at > job.meta.expiresAt;
+
+  async function attempt(job) {
+    if (expired(job)) {
+      deadLetter(job, job.attempts, "expired before it could be delivered");
+      return;
+    }
+    try {
+      await getTransport().sendMail(job.message);
+      recordQuota();
+      queue.delete(job.id);
+      console.log(`Mail ${job.id} (${job.meta.template || "message"}) delivered to ${job.message.to}`);
+      settle(job.id, "sent");
+    } catch (error) {
+      const attempts = job.attempts + 1;
+      const lastError = error.message;
+      const nextAttemptAt = Date.now() + backoff(attempts);
+      if (isPermanentError(error) || attempts >= limits().maxAttempts || expired(job, nextAttemptAt)) {
+        deadLetter(job, attempts, lastError);
+      } else {
+        queue.set(job.id, { ...job, attempts, lastError, nextAttemptAt });
+        console.log(`Mail ${job.id} to ${job.message.to} failed (attempt ${attempts}), retrying: ${lastError}`);
+        settle(job.id, "queued");
+      }
+    }
+  }
+
+  async function processDue() {
+    timer = null;
+    if (running) return;
+    running = true;
+    try {
+      for (;;) {
+        const due = queue.values()
+          .filter(job => job.nextAttemptAt <= Date.now())
+          .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+        if (due.length === 0) break;
+
+        const wait = quotaWaitMs();
+        if (wait > 0) {
+          // Over the rate limit: tell waiters it's queued and come back when a slot frees up
+          due.forEach(job => settle(job.id, "queued"));
+          schedule(wait);
+          return;
+        }
+        await attempt(due[0]);
+      }
+      const next = queue.values().reduce((min, job) => Math.min(min, job.nextAttemptAt), Infinity);
+      if (next !== Infinity) schedule(next - Date.now());
+    } catch (error) {
+      // A storage or dead-letter hook error must not kill the timer loop
+      console.error("Mail queue processing failed, retrying shortly:", error);
+      schedule(baseDelayMs);
+    } finally {
+      running = false;
+    }
+  }
+
+  // Queues a message. Resolves "sent" if the first attempt succeeds within waitMs,
+  // "queued" if it will be retried or is still waiting, "failed" if it was dead-lettered.
+  // meta.expiresAt (ms timestamp) dead-letters the message instead of sending it late.
+  function send(message, { meta = {}, waitMs = 8000 } = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      message,
+      meta,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: Date.now()
+    };
+    queue.set(job.id, job);
+
+    const result = new Promise(resolve => {
+      waiters.set(job.id, resolve);
+      setTimeout(() => settle(job.id, "queued"), waitMs).unref?.();
+    });
+    schedule(0);
+    return result;
+  }
+
+  function start() {
+    const pending = queue.size;
+    if (pending > 0) console.log(`Mail queue resuming with ${pending} pending message(s)`);
+    schedule(0);
+  }
+
+  function stop() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+  }
+
+  // Moves dead letters back into the queue (all of them when id is omitted); expired ones stay
+  function retryDeadLetters(id = null) {
+    const jobs = (id ? [deadLetters.get(id)].filter(Boolean) : deadLetters.values()).filter(job => !expired(job));
+    for (const job of jobs) {
+      deadLetters.delete(job.id);
+      queue.set(job.id, { ...job, attempts: 0, nextAttemptAt: Date.now(), lastError: job.lastError });
+    }
+    if (jobs.length > 0) schedule(0);
+    return jobs.length;
+  }
+
+  function discardDeadLetters(id = null) {
+    if (!id) {
+      const count = deadLetters.size;
+      deadLetters.clear();
+      return count;
+    }
+    return deadLetters.delete(id) ? 1 : 0;
+  }
+
+  function status() {
+    const sends = recentSends();
+    return {
+      transport: getTransport().name,
+      pending: queue.values(),
+      deadLetters: deadLetters.values(),
+      sentLastMinute: sends.filter(ts => ts > Date.now() - MINUTE_MS).length,
+      sentLastDay: sends.length,
+      ...limits()
+    };
+  }
+
+  return { send, start, stop, status, retryDeadLetters, discardDeadLetters };
+}
+
+module.exports = { createMailTransport, createMailQueue, isPermanentError };
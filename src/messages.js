@@ -0,0 +1,78 @@
+// messages.js
+// Member-facing bot text per language, from templates/messages/<lang>.yaml.
+//
+// Keys are dotted paths into the YAML ("welcome.title") and {{var}} is filled from
+// vars. A string missing in the requested language falls back to its base language
+// ("hi-IN" -> "hi"), then the default language, then English, then the fallback
+// text passed by the caller, and finally the key itself.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+
+const DEFAULT_MESSAGE_DIR = path.join(__dirname, "..", "templates", "messages");
+
+// { a: { b: "x" } } -> { "a.b": "x" }
+function flatten(tree, prefix = "", out = {}) {
+  for (const [key, value] of Object.entries(tree || {})) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value !== null && typeof value === "object") flatten(value, name, out);
+    else out[name] = String(value);
+  }
+  return out;
+}
+
+// Fills {{var}} placeholders; missing vars become ""
+function interpolate(text, vars = {}) {
+  return text.replace(/\{\{(\w+)\}\}/g, (match, name) => (vars[name] == null ? "" : String(vars[name])));
+}
+
+function createMessageCatalog({ dir = DEFAULT_MESSAGE_DIR, defaultLanguage = () => "en" } = {}) {
+  let catalogs = {};
+  const reported = new Set();
+
+  // Read once at startup and again on /reload-config. A file that doesn't parse
+  // throws (naming the file) and the catalogs already loaded stay in use.
+  function reload() {
+    const next = {};
+    for (const file of fs.readdirSync(dir).filter(f => /\.ya?ml$/.test(f))) {
+      let tree;
+      try {
+        tree = YAML.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+      }
+      next[file.replace(/\.ya?ml$/, "")] = flatten(tree);
+    }
+    catalogs = next;
+    reported.clear();
+  }
+
+  function languages() {
+    return Object.keys(catalogs);
+  }
+
+  function languageName(language) {
+    return catalogs[language]?.["language.name"] || language;
+  }
+
+  function t(language, key, vars = {}, fallback = null) {
+    const chain = [language, language?.split("-")[0], defaultLanguage(), "en"].filter(Boolean);
+    const found = chain.find(lang => catalogs[lang]?.[key] !== undefined);
+    // Callers passing their own fallback text (like the role rules) needn't be in every catalog
+    if (found !== language && fallback === null && !reported.has(`${language}:${key}`)) {
+      // Report each gap once so a missing translation is visible without flooding the log
+      reported.add(`${language}:${key}`);
+      console.log(`Message "${key}" missing for ${language}${found ? `, using ${found}` : ""}`);
+    }
+    if (found) return interpolate(catalogs[found][key], vars);
+    return fallback ?? key;
+  }
+
+  reload();
+  return { t, languages, languageName, reload };
+}
+
+module.exports = { createMessageCatalog, interpolate, DEFAULT_MESSAGE_DIR };
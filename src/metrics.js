@@ -0,0 +1,107 @@
+// metrics.js
+// Prometheus metrics for the onboarding funnel, served from GET /metrics.
+// Counters are process-local and reset on restart (Prometheus handles that with rate());
+// the per-stage gauge is read from storage on every scrape so it survives restarts.
+
+"use strict";
+
+const express = require("express");
+const client = require("prom-client");
+const { tokensMatch } = require("./api");
+
+// Interaction handling is expected to stay under Discord's 3s acknowledgement window
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 3, 5, 10];
+
+// countStages() returns { stage: count } for members currently in onboarding
+function createMetrics({ countStages = () => ({}) } = {}) {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry });
+
+  const metrics = {
+    registry,
+    membersJoined: new client.Counter({
+      name: "onboarding_members_joined_total",
+      help: "Members who joined the server",
+      registers: [registry]
+    }),
+    welcomeDms: new client.Counter({
+      name: "onboarding_welcome_dms_total",
+      help: "Welcome DMs by outcome (failed ones fall back to the channel prompt)",
+      labelNames: ["outcome"],
+      registers: [registry]
+    }),
+    emails: new client.Counter({
+      name: "onboarding_emails_total",
+      help: "Outbound emails by template and delivery status (sent, queued, failed)",
+      labelNames: ["template", "status"],
+      registers: [registry]
+    }),
+    codes: new client.Counter({
+      name: "onboarding_codes_total",
+      help: "Verification attempts by outcome (verified, rejected, expired, locked, blocked)",
+      labelNames: ["outcome", "method"],
+      registers: [registry]
+    }),
+    reminders: new client.Counter({
+      name: "onboarding_reminders_total",
+      help: "Setup reminders sent to unfinished members, by delivery (dm, channel, failed)",
+      labelNames: ["via"],
+      registers: [registry]
+    }),
+    setupsCompleted: new client.Counter({
+      name: "onboarding_setups_completed_total",
+      help: "Members who completed setup",
+      registers: [registry]
+    }),
+    roleToggles: new client.Counter({
+      name: "onboarding_role_toggles_total",
+      help: "Self-service role changes by role and action",
+      labelNames: ["role", "action"],
+      registers: [registry]
+    }),
+    discordErrors: new client.Counter({
+      name: "discord_api_errors_total",
+      help: "Errors returned by the Discord API or client, by where they happened",
+      labelNames: ["source"],
+      registers: [registry]
+    }),
+    interactionDuration: new client.Histogram({
+      name: "discord_interaction_duration_seconds",
+      help: "Time spent handling an interaction, by interaction type",
+      labelNames: ["type", "outcome"],
+      buckets: LATENCY_BUCKETS,
+      registers: [registry]
+    })
+  };
+
+  new client.Gauge({
+    name: "onboarding_members_in_stage",
+    help: "Members currently in each onboarding stage",
+    labelNames: ["stage"],
+    registers: [registry],
+    collect() {
+      this.reset();
+      for (const [stage, count] of Object.entries(countStages())) this.set({ stage }, count);
+    }
+  });
+
+  return metrics;
+}
+
+// GET / in Prometheus text format; protected by a bearer token when one is set
+function createMetricsRouter({ registry, token = null }) {
+  const router = express.Router();
+
+  router.get("/", async (req, res) => {
+    const header = req.get("authorization") || "";
+    if (token && !(header.startsWith("Bearer ") && tokensMatch(header.slice(7), token))) {
+      res.status(401).type("text/plain").send("Invalid or missing metrics token\n");
+      return;
+    }
+    res.type(registry.contentType).send(await registry.metrics());
+  });
+
+  return router;
+}
+
+module.exports = { createMetrics, createMetricsRouter };
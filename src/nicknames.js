@@ -0,0 +1,129 @@
+// nicknames.js
+// Nickname policy (config `nicknames`): the name a member types is normalized and
+// checked once, stored in the registry, and the nickname is rendered from a template
+// such as "{name} | {primaryRole}" whenever the name or the member's roles change.
+//
+// checkName reports refusals through `say`, which defaults to the English NAME_MESSAGES.
+
+"use strict";
+
+const { interpolate } = require("./messages");
+
+const NICKNAME_MAX_LENGTH = 32; // Discord limit
+const TEMPLATE_VARS = ["name", "firstName", "primaryRole", "roleEmoji"];
+const ROLE_VARS = ["primaryRole", "roleEmoji"];
+
+const NAME_MESSAGES = {
+  empty: "Please enter your name.",
+  tooShort: "Your name must be at least {{min}} characters.",
+  tooLong: "Your name must be at most {{max}} characters.",
+  noLetters: "Your name must contain letters.",
+  banned: "That name isn't allowed here. Please use your real name."
+};
+
+function nameText(key, vars) {
+  return interpolate(NAME_MESSAGES[key], vars);
+}
+
+// Drops control, zero-width and direction-override characters (ZWJ/ZWNJ stay, Indic
+// scripts need them), collapses whitespace and, with casing "title", capitalizes words
+// typed all in lower or upper case ("mcDonald" is kept)
+function normalizeName(raw, { casing = "title" } = {}) {
+  const name = String(raw ?? "")
+    .normalize("NFC")
+    .replace(/[\p{Cc}\u200B\u2060\uFEFF\u202A-\u202E\u2066-\u2069]/gu, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (casing !== "title") return name;
+  return name.split(" ").map(word => {
+    if (word !== word.toLowerCase() && word !== word.toUpperCase()) return word;
+    const lower = word.toLocaleLowerCase();
+    return lower.charAt(0).toLocaleUpperCase() + lower.slice(1);
+  }).join(" ");
+}
+
+// Banned words match whole words, ignoring case ("ass" doesn't block "Prasad")
+function containsBannedWord(name, bannedWords) {
+  const words = name.toLowerCase().split(/[^\p{L}\p{N}]+/u);
+  return bannedWords.some(banned => {
+    const parts = banned.toLowerCase().split(/\s+/);
+    return words.some((_, i) => parts.every((part, j) => words[i + j] === part));
+  });
+}
+
+// Returns null or the reason a normalized name is refused
+function checkName(name, { minLength = 2, bannedWords = [] } = {}, say = nameText) {
+  if (!name) return say("empty");
+  if (name.length < minLength) return say("tooShort", { min: minLength });
+  if (name.length > NICKNAME_MAX_LENGTH) return say("tooLong", { max: NICKNAME_MAX_LENGTH });
+  if (!/\p{L}/u.test(name)) return say("noLetters");
+  if (containsBannedWord(name, bannedWords)) return say("banned");
+  return null;
+}
+
+function templateVars(template) {
+  return [...template.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+}
+
+function usesRoles(template) {
+  return templateVars(template).some(name => ROLE_VARS.includes(name));
+}
+
+// First catalog role the member holds, in roleCategories order
+function primaryRoleOf(roleCatalog, heldRoleNames) {
+  return roleCatalog.find(entry => heldRoleNames.includes(entry.name)) || null;
+}
+
+// Cuts a name to max characters, at a word boundary when there is one
+function shortenName(name, max) {
+  if (name.length <= max) return name;
+  const cut = name.slice(0, max);
+  const space = cut.lastIndexOf(" ");
+  return (space > 0 ? cut.slice(0, space) : cut).trim();
+}
+
+// Fills the template and fits it in 32 characters. Separators left dangling by an
+// empty placeholder are dropped ("Asha | " -> "Asha"); when too long the name is
+// shortened first, then the decoration is dropped altogether.
+function renderNickname(template, { name, role = null }) {
+  const fill = (fullName) => template
+    .replace(/\{(\w+)\}/g, (match, key) => ({
+      name: fullName,
+      firstName: fullName.split(" ")[0],
+      primaryRole: role?.name ?? "",
+      roleEmoji: role?.emoji ?? ""
+    })[key] ?? match)
+    .replace(/\(\s*\)|\[\s*\]/g, "")
+    .replace(/\s+/g, " ")
+    .replace(/^[\s|·•:,/\-–—]+|[\s|·•:,/\-–—]+$/g, "");
+
+  const full = fill(name);
+  if (full.length <= NICKNAME_MAX_LENGTH) return full;
+  const room = NICKNAME_MAX_LENGTH - (full.length - name.length);
+  if (room >= 3) {
+    const short = fill(shortenName(name, room));
+    if (short.length <= NICKNAME_MAX_LENGTH) return short;
+  }
+  return shortenName(name, NICKNAME_MAX_LENGTH);
+}
+
+// Why the bot can't set a member's nickname, or null if it can
+function nicknameBlocker(member) {
+  if (member.id === member.guild.ownerId) return "server owner";
+  if (!member.guild.members.me?.permissions.has("ManageNicknames")) return "bot lacks Manage Nicknames";
+  if (!member.manageable) return "highest role is above the bot's";
+  return null;
+}
+
+module.exports = {
+  NICKNAME_MAX_LENGTH,
+  TEMPLATE_VARS,
+  normalizeName,
+  checkName,
+  nameText,
+  usesRoles,
+  templateVars,
+  primaryRoleOf,
+  renderNickname,
+  nicknameBlocker
+};
@@ -0,0 +1,119 @@
+// roleRules.js
+// Selection rules for the self-service role picker (config `selectionRules`):
+// per-category min/max counts, mutually exclusive role groups, whether roles may
+// come from more than one category, and a minimum total.
+//
+// All checks work on role names: `held` is the list of self-service roles the
+// member has, `chosen` extra categories whose minimum applies even with nothing
+// selected in them (the single chosen category when multipleCategories is off).
+//
+// The texts below are the English fallback; app.js passes a `say(key, vars)` that
+// looks up rules.<key> in the member's message catalog first.
+
+"use strict";
+
+const { interpolate } = require("./messages");
+
+const RULE_MESSAGES = {
+  maxReached: "You can pick at most {{max}} role{{s}} in {{category}}. Remove one first.",
+  exclusiveConflict: "{{role}} can't be combined with {{conflict}}. Remove {{conflict}} first.",
+  otherCategoryHeld: "Roles can only come from one category. Remove your {{category}} roles first.",
+  tooFew: "Pick at least {{min}} role{{s}} in {{category}} (you have {{count}}).",
+  tooMany: "Pick at most {{max}} role{{s}} in {{category}} (you have {{count}}).",
+  exclusive: "Only one of {{group}} is allowed (you have {{held}}).",
+  oneCategory: "Roles can only come from one category (you have {{categories}}).",
+  minTotal: "Pick at least {{min}} role{{s}} in total.",
+  pickExactly: "pick {{count}}",
+  pickRange: "pick {{min}}-{{max}}",
+  pickAtLeast: "pick at least {{min}}",
+  pickUpTo: "pick up to {{max}}"
+};
+
+function ruleText(key, vars) {
+  return interpolate(RULE_MESSAGES[key], vars);
+}
+
+const plural = (n) => (n === 1 ? "" : "s");
+
+function categoryOf(roleCategories, roleName) {
+  return Object.keys(roleCategories).find(category => roleCategories[category].includes(roleName)) || null;
+}
+
+function categoriesHeld(roleCategories, held) {
+  return [...new Set(held.map(role => categoryOf(roleCategories, role)).filter(Boolean))];
+}
+
+// Reason adding roleName would break a rule, or null if it's allowed
+function checkAdd(rules, roleCategories, held, roleName, say = ruleText) {
+  const category = categoryOf(roleCategories, roleName);
+  const inCategory = held.filter(role => categoryOf(roleCategories, role) === category);
+
+  const max = rules.categories[category]?.max;
+  if (max !== undefined && inCategory.length >= max) {
+    return say("maxReached", { max, s: plural(max), category });
+  }
+
+  for (const group of rules.exclusiveGroups) {
+    if (!group.includes(roleName)) continue;
+    const conflict = held.find(role => role !== roleName && group.includes(role));
+    if (conflict) return say("exclusiveConflict", { role: roleName, conflict });
+  }
+
+  if (!rules.multipleCategories) {
+    const other = categoriesHeld(roleCategories, held).find(c => c !== category);
+    if (other) return say("otherCategoryHeld", { category: other });
+  }
+
+  return null;
+}
+
+// Every rule the current selection breaks, as user-facing sentences
+function checkSelection(rules, roleCategories, held, chosen = [], say = ruleText) {
+  const problems = [];
+  const categories = [...new Set([...chosen, ...categoriesHeld(roleCategories, held)])];
+
+  for (const category of categories) {
+    const limits = rules.categories[category];
+    if (!limits) continue;
+    const count = held.filter(role => categoryOf(roleCategories, role) === category).length;
+    if (limits.min !== undefined && count < limits.min) {
+      problems.push(say("tooFew", { min: limits.min, s: plural(limits.min), category, count }));
+    }
+    if (limits.max !== undefined && count > limits.max) {
+      problems.push(say("tooMany", { max: limits.max, s: plural(limits.max), category, count }));
+    }
+  }
+
+  for (const group of rules.exclusiveGroups) {
+    const inGroup = held.filter(role => group.includes(role));
+    if (inGroup.length > 1) problems.push(say("exclusive", { group: group.join(", "), held: inGroup.join(", ") }));
+  }
+
+  if (!rules.multipleCategories) {
+    const heldCategories = categoriesHeld(roleCategories, held);
+    if (heldCategories.length > 1) {
+      problems.push(say("oneCategory", { categories: heldCategories.join(", ") }));
+    }
+  }
+
+  if (held.length < rules.minTotal) {
+    problems.push(say("minTotal", { min: rules.minTotal, s: plural(rules.minTotal) }));
+  }
+
+  return problems;
+}
+
+// Short hint for the picker, e.g. "pick 1-2"
+function describeLimits(rules, category, say = ruleText) {
+  const limits = rules.categories[category];
+  if (!limits) return null;
+  if (limits.min !== undefined && limits.max !== undefined) {
+    return limits.min === limits.max
+      ? say("pickExactly", { count: limits.min })
+      : say("pickRange", { min: limits.min, max: limits.max });
+  }
+  if (limits.min !== undefined) return say("pickAtLeast", { min: limits.min });
+  return say("pickUpTo", { max: limits.max });
+}
+
+module.exports = { categoryOf, categoriesHeld, checkAdd, checkSelection, describeLimits, ruleText };
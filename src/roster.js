@@ -0,0 +1,94 @@
+// roster.js
+// Parses the registration roster CSV (email -> roles) uploaded by admins.
+//
+// Expected columns (header row required, case-insensitive): email, roles
+// `roles` holds one or more role names separated by ";" or "|".
+// An email may appear on several rows; its roles are merged.
+
+"use strict";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Minimal RFC 4180 reader: quoted fields, escaped quotes, CRLF or LF line endings
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim() !== ""));
+}
+
+// Returns { entries: Map<email, string[]>, errors: string[] }.
+// Roles not in allowedRoles are reported and skipped so a roster can never grant e.g. Admin.
+function parseRoster(text, allowedRoles) {
+  const errors = [];
+  const entries = new Map();
+  const rows = parseCsv(text.replace(/^\uFEFF/, "")); // Excel adds a BOM
+
+  if (rows.length === 0) return { entries, errors: ["roster is empty"] };
+
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const emailCol = header.indexOf("email");
+  const rolesCol = header.indexOf("roles");
+  if (emailCol === -1 || rolesCol === -1) {
+    return { entries, errors: ['header row must include "email" and "roles" columns'] };
+  }
+
+  const allowed = new Map(allowedRoles.map(r => [r.toLowerCase(), r]));
+
+  rows.slice(1).forEach((row, index) => {
+    const rowNumber = index + 2;
+    const email = (row[emailCol] || "").trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(email)) {
+      errors.push(`row ${rowNumber}: invalid email "${row[emailCol] || ""}"`);
+      return;
+    }
+
+    const roles = entries.get(email) || [];
+    for (const name of (row[rolesCol] || "").split(/[;|]/).map(r => r.trim()).filter(Boolean)) {
+      const role = allowed.get(name.toLowerCase());
+      if (!role) {
+        errors.push(`row ${rowNumber}: "${name}" is not a roster role`);
+      } else if (!roles.includes(role)) {
+        roles.push(role);
+      }
+    }
+    entries.set(email, roles);
+  });
+
+  return { entries, errors };
+}
+
+module.exports = { parseCsv, parseRoster };
@@ -0,0 +1,82 @@
+// scheduler.js
+// Runs recurring background jobs (reminders, cleanup) on fixed intervals. The last
+// run of each job is persisted, so a restart resumes the schedule instead of
+// running everything at once or waiting a full interval again.
+//
+// Job shape: { name, everyMs: number | () => number, run: async () => summary? }
+
+"use strict";
+
+function createScheduler({ storage, jobs }) {
+  const lastRuns = storage.collection("scheduler");
+  const timers = new Map();
+  const running = new Set();
+  let stopped = true;
+
+  function intervalOf(job) {
+    return typeof job.everyMs === "function" ? job.everyMs() : job.everyMs;
+  }
+
+  function schedule(job) {
+    if (stopped) return;
+    const last = lastRuns.get(job.name)?.at ?? 0;
+    const delay = Math.max(0, last + intervalOf(job) - Date.now());
+    const timer = setTimeout(() => runJob(job), delay);
+    timer.unref?.();
+    timers.set(job.name, timer);
+  }
+
+  async function runJob(job) {
+    if (running.has(job.name)) return null;
+    running.add(job.name);
+    let summary = null;
+    try {
+      summary = await job.run();
+      lastRuns.set(job.name, { at: Date.now(), ok: true });
+    } catch (error) {
+      console.error(`Scheduled job "${job.name}" failed:`, error);
+      lastRuns.set(job.name, { at: Date.now(), ok: false, error: error.message });
+    } finally {
+      running.delete(job.name);
+    }
+    clearTimeout(timers.get(job.name));
+    schedule(job);
+    return summary;
+  }
+
+  function start() {
+    if (!stopped) return;
+    stopped = false;
+    jobs.forEach(schedule);
+  }
+
+  function stop() {
+    stopped = true;
+    for (const timer of timers.values()) clearTimeout(timer);
+    timers.clear();
+  }
+
+  // Run a job immediately (admin trigger); the next run is rescheduled from now
+  function runNow(name) {
+    const job = jobs.find(j => j.name === name);
+    return job ? runJob(job) : Promise.resolve(null);
+  }
+
+  function status() {
+    return jobs.map(job => {
+      const last = lastRuns.get(job.name);
+      return {
+        name: job.name,
+        everyMs: intervalOf(job),
+        lastRunAt: last ? new Date(last.at).toISOString() : null,
+        lastOk: last ? last.ok : null,
+        lastError: last?.error || null,
+        nextRunAt: new Date(Math.max(Date.now(), (last?.at ?? 0) + intervalOf(job))).toISOString()
+      };
+    });
+  }
+
+  return { start, stop, runNow, status };
+}
+
+module.exports = { createScheduler };
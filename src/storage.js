@@ -0,0 +1,224 @@
+// storage.js
+// Pluggable persistence for onboarding state and the verified-member registry.
+// SQLite file by default (better-sqlite3), JSON file as a fallback.
+// Every backend exposes the same named collections with a Map-like API,
+// so callers can swap `new Map()` for `storage.collection("name")`.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_PATHS = {
+  sqlite: "./data/saavan.db",
+  json: "./data/saavan.json"
+};
+
+// ====== SQLITE BACKEND ======
+function createSqliteBackend(file) {
+  const Database = require("better-sqlite3"); // Lazy so the JSON fallback works without it
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      collection TEXT NOT NULL,
+      id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (collection, id)
+    )
+  `);
+
+  const statements = {
+    get: db.prepare("SELECT data FROM records WHERE collection = ? AND id = ?"),
+    set: db.prepare(
+      "INSERT INTO records (collection, id, data, updated_at) VALUES (?, ?, ?, ?) " +
+      "ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at"
+    ),
+    delete: db.prepare("DELETE FROM records WHERE collection = ? AND id = ?"),
+    all: db.prepare("SELECT id, data FROM records WHERE collection = ? ORDER BY id"),
+    clear: db.prepare("DELETE FROM records WHERE collection = ?"),
+    count: db.prepare("SELECT COUNT(*) AS count FROM records WHERE collection = ?")
+  };
+
+  return {
+    driver: "sqlite",
+    file,
+    get(collection, id) {
+      const row = statements.get.get(collection, id);
+      return row ? JSON.parse(row.data) : undefined;
+    },
+    set(collection, id, value) {
+      statements.set.run(collection, id, JSON.stringify(value), Date.now());
+    },
+    delete(collection, id) {
+      return statements.delete.run(collection, id).changes > 0;
+    },
+    entries(collection) {
+      return statements.all.all(collection).map(row => [row.id, JSON.parse(row.data)]);
+    },
+    clear(collection) {
+      statements.clear.run(collection);
+    },
+    size(collection) {
+      return statements.count.get(collection).count;
+    },
+    close() {
+      db.close();
+    }
+  };
+}
+
+// ====== JSON FILE BACKEND ======
+function createJsonBackend(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  let data = {};
+  if (fs.existsSync(file)) {
+    try {
+      data = JSON.parse(fs.readFileSync(file, "utf8")) || {};
+    } catch (error) {
+      // Keep the unreadable file around instead of silently overwriting it
+      const backup = `${file}.corrupt-${Date.now()}`;
+      fs.renameSync(file, backup);
+      console.error(`Storage file ${file} was unreadable, moved to ${backup}:`, error.message);
+      data = {};
+    }
+  }
+
+  // Write to a temp file and rename so a crash mid-write never truncates the store
+  function persist() {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function bucket(collection) {
+    if (!data[collection]) data[collection] = {};
+    return data[collection];
+  }
+
+  return {
+    driver: "json",
+    file,
+    get(collection, id) {
+      const value = bucket(collection)[id];
+      // Hand out copies so callers can't mutate the store without calling set()
+      return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    },
+    set(collection, id, value) {
+      bucket(collection)[id] = JSON.parse(JSON.stringify(value));
+      persist();
+    },
+    delete(collection, id) {
+      const items = bucket(collection);
+      if (!(id in items)) return false;
+      delete items[id];
+      persist();
+      return true;
+    },
+    entries(collection) {
+      return Object.keys(bucket(collection)).sort()
+        .map(id => [id, JSON.parse(JSON.stringify(data[collection][id]))]);
+    },
+    clear(collection) {
+      data[collection] = {};
+      persist();
+    },
+    size(collection) {
+      return Object.keys(bucket(collection)).length;
+    },
+    close() {}
+  };
+}
+
+// ====== COLLECTIONS ======
+function createCollection(backend, name) {
+  return {
+    name,
+    get: (id) => backend.get(name, String(id)),
+    set(id, value) {
+      backend.set(name, String(id), value);
+      return this;
+    },
+    // Read-modify-write helper; returning undefined from fn deletes the record
+    update(id, fn) {
+      const next = fn(backend.get(name, String(id)));
+      if (next === undefined) {
+        backend.delete(name, String(id));
+      } else {
+        backend.set(name, String(id), next);
+      }
+      return next;
+    },
+    has: (id) => backend.get(name, String(id)) !== undefined,
+    delete: (id) => backend.delete(name, String(id)),
+    entries: () => backend.entries(name),
+    keys: () => backend.entries(name).map(([id]) => id),
+    values: () => backend.entries(name).map(([, value]) => value),
+    find(predicate) {
+      const match = backend.entries(name).find(([id, value]) => predicate(value, id));
+      return match ? match[1] : undefined;
+    },
+    filter: (predicate) => backend.entries(name).filter(([id, value]) => predicate(value, id)),
+    clear: () => backend.clear(name),
+    get size() {
+      return backend.size(name);
+    }
+  };
+}
+
+// Where the JSON fallback keeps data: the configured file with a .json extension,
+// so a STORAGE_PATH on a persistent disk stays on that disk
+function jsonFallbackPath(file) {
+  if (!file) return DEFAULT_PATHS.json;
+  const ext = path.extname(file);
+  return ext ? `${file.slice(0, -ext.length)}.json` : `${file}.json`;
+}
+
+// Set when better-sqlite3 itself can't load (not when one database file fails), so
+// storageFile() can tell where the next store will end up
+let sqliteError = null;
+
+// The file a store with these options would open, without opening it
+function storageFile({ driver = "sqlite", file } = {}) {
+  if (driver === "json") return file || DEFAULT_PATHS.json;
+  return sqliteError ? jsonFallbackPath(file) : file || DEFAULT_PATHS.sqlite;
+}
+
+function createStorage({ driver = "sqlite", file } = {}) {
+  let backend;
+
+  if (driver === "sqlite") {
+    try {
+      backend = createSqliteBackend(file || DEFAULT_PATHS.sqlite);
+    } catch (error) {
+      if (!String(error.code).startsWith("SQLITE_")) sqliteError = error;
+      const fallback = jsonFallbackPath(file);
+      console.error(`SQLite storage unavailable (${error.message}), falling back to JSON file ${fallback}`);
+      backend = createJsonBackend(fallback);
+    }
+  } else if (driver === "json") {
+    backend = createJsonBackend(file || DEFAULT_PATHS.json);
+  } else {
+    throw new Error(`Unknown storage driver "${driver}" (expected "sqlite" or "json")`);
+  }
+
+  const collections = new Map();
+
+  return {
+    driver: backend.driver,
+    file: backend.file,
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, createCollection(backend, name));
+      }
+      return collections.get(name);
+    },
+    close: () => backend.close()
+  };
+}
+
+module.exports = { createStorage, storageFile };
@@ -0,0 +1,103 @@
+// templates.js
+// File-based email templates with per-language variants.
+//
+// Layout:  templates/email/layout.html          shared HTML shell ({{{content}}}, {{title}}, branding)
+//          templates/email/<name>/<lang>.txt     headers (Subject:, Title:), blank line, plain-text body
+//          templates/email/<name>/<lang>.html    HTML body fragment (optional; derived from the text if missing)
+//
+// Syntax:  {{var}} escaped in HTML, {{{var}}} raw, {{#var}}...{{/var}} if truthy, {{^var}}...{{/var}} if falsy.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_TEMPLATE_DIR = path.join(__dirname, "..", "templates", "email");
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function interpolate(source, vars, { html }) {
+  const sections = source.replace(
+    /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g,
+    (match, kind, name, inner) => (Boolean(vars[name]) === (kind === "#") ? inner : "")
+  );
+  // Single pass so substituted values are never re-scanned for tags
+  return sections.replace(/\{\{\{(\w+)\}\}\}|\{\{(\w+)\}\}/g, (match, rawName, name) => {
+    const value = vars[rawName || name];
+    if (value == null) return "";
+    return html && !rawName ? escapeHtml(value) : String(value);
+  });
+}
+
+// "Subject: ..." / "Title: ..." lines up to the first blank line
+function splitHeaders(text) {
+  const headers = {};
+  const lines = text.replace(/\r\n/g, "\n").split("\n");
+  let i = 0;
+  for (; i < lines.length && lines[i].trim() !== ""; i++) {
+    const match = lines[i].match(/^(\w+):\s*(.*)$/);
+    if (!match) break;
+    headers[match[1].toLowerCase()] = match[2];
+  }
+  return { headers, body: lines.slice(i).join("\n").trim() + "\n" };
+}
+
+function textToHtml(text) {
+  return text.trim().split(/\n{2,}/)
+    .map(paragraph => `<p style="margin:0 0 12px 0;">${escapeHtml(paragraph).replace(/\n/g, "<br>")}</p>`)
+    .join("\n");
+}
+
+function createTemplateRenderer({ dir = DEFAULT_TEMPLATE_DIR, defaults = () => ({}), defaultLanguage = () => "en" } = {}) {
+  const read = (file) => fs.readFileSync(path.join(dir, file), "utf8");
+  const exists = (file) => fs.existsSync(path.join(dir, file));
+
+  function listTemplates() {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => ({
+        name: entry.name,
+        languages: fs.readdirSync(path.join(dir, entry.name))
+          .filter(file => file.endsWith(".txt"))
+          .map(file => file.replace(/\.txt$/, ""))
+      }));
+  }
+
+  // Requested language, then its base ("hi-IN" -> "hi"), then the default, then English
+  function resolveLanguage(name, language) {
+    const candidates = [language, language?.split("-")[0], defaultLanguage(), "en"].filter(Boolean);
+    const found = candidates.find(lang => exists(path.join(name, `${lang}.txt`)));
+    if (!found) throw new Error(`Email template "${name}" has no ${candidates.join("/")} variant in ${dir}`);
+    return found;
+  }
+
+  // Templates are read on every render so edits apply without a restart
+  function render(name, vars = {}, language = null) {
+    const lang = resolveLanguage(name, language);
+    const context = { year: new Date().getFullYear(), ...defaults(), ...vars };
+
+    const { headers, body } = splitHeaders(read(path.join(name, `${lang}.txt`)));
+    const subject = interpolate(headers.subject || name, context, { html: false });
+    const title = interpolate(headers.title || "", context, { html: false });
+    const text = interpolate(body, context, { html: false });
+
+    const htmlFile = path.join(name, `${lang}.html`);
+    const content = exists(htmlFile) ? interpolate(read(htmlFile), context, { html: true }) : textToHtml(text);
+    const html = exists("layout.html")
+      ? interpolate(read("layout.html"), { ...context, title, content, language: lang }, { html: true })
+      : content;
+
+    return { subject, html, text, language: lang };
+  }
+
+  return { render, listTemplates };
+}
+
+module.exports = { createTemplateRenderer, DEFAULT_TEMPLATE_DIR };
@@ -0,0 +1,214 @@
+// verification.js
+// Email verification codes and abuse limits:
+// CSPRNG codes stored as HMACs, signed magic-link tokens, per-user attempt lockout,
+// resend cooldown and rolling 24h caps per Discord user and per email address.
+
+"use strict";
+
+const crypto = require("crypto");
+const { interpolate } = require("./messages");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// English limit messages; describeLimit/formatWait take `say(key, vars)` to translate them
+const LIMIT_MESSAGES = {
+  locked: "Too many incorrect codes. Verification is locked for {{wait}}. Contact an admin if you need help sooner.",
+  cooldown: "Please wait {{wait}} before requesting another code.",
+  dailyCap: "You've reached the limit of {{cap}} verification emails per day. Try again in {{wait}}.",
+  emailCap: "This email address has received {{cap}} verification emails today. Try again in {{wait}}.",
+  unavailable: "Verification is temporarily unavailable. Please try again later.",
+  seconds: "{{count}} second{{s}}",
+  minutes: "{{count}} minute{{s}}",
+  hours: "{{count}} hour{{s}}"
+};
+
+function limitText(key, vars) {
+  return interpolate(LIMIT_MESSAGES[key], vars);
+}
+
+function formatWait(ms, say = limitText) {
+  const unit = (key, count) => say(key, { count, s: count === 1 ? "" : "s" });
+  const seconds = Math.max(1, Math.ceil(ms / 1000));
+  if (seconds < 60) return unit("seconds", seconds);
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) return unit("minutes", minutes);
+  return unit("hours", Math.ceil(minutes / 60));
+}
+
+function createVerificationGuard({
+  storage,
+  secret,
+  maxAttempts = 5,
+  lockoutMs = 30 * 60 * 1000,
+  resendCooldownMs = 60 * 1000,
+  dailyUserCap = 5,
+  dailyEmailCap = 5
+}) {
+  const lockouts = storage.collection("verification_lockouts");
+  const sendLog = storage.collection("verification_send_log");
+  const settings = storage.collection("settings");
+
+  // Without an explicit secret, generate one once and keep it with the data
+  // so hashed codes stay valid across restarts
+  if (!secret) {
+    secret = settings.get("verification_secret");
+    if (!secret) {
+      secret = crypto.randomBytes(32).toString("hex");
+      settings.set("verification_secret", secret);
+    }
+  }
+
+  function generateCode() {
+    return crypto.randomInt(100000, 1000000).toString(); // 6-digit code
+  }
+
+  // Bind the hash to the Discord user so a code can't be replayed by someone else
+  function hashCode(userId, code) {
+    return crypto.createHmac("sha256", secret).update(`${userId}:${code}`).digest("hex");
+  }
+
+  function codeMatches(userId, code, expectedHash) {
+    if (typeof expectedHash !== "string") return false;
+    const actual = Buffer.from(hashCode(userId, code), "hex");
+    const expected = Buffer.from(expectedHash, "hex");
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  // ====== MAGIC LINKS ======
+  // Token = base64url(JSON { u: userId, n: nonce, e: expires }) + "." + HMAC.
+  // Single use comes from the nonce: it lives on the code session, which is deleted once used.
+  function createLinkToken(userId, nonce, expires) {
+    const payload = Buffer.from(JSON.stringify({ u: userId, n: nonce, e: expires })).toString("base64url");
+    const signature = crypto.createHmac("sha256", secret).update(`link:${payload}`).digest("base64url");
+    return `${payload}.${signature}`;
+  }
+
+  // Returns { userId, nonce, expires } for a well-signed token, otherwise null
+  function readLinkToken(token) {
+    const [payload, signature] = String(token).split(".");
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(crypto.createHmac("sha256", secret).update(`link:${payload}`).digest("base64url"));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    try {
+      const { u, n, e } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+      return { userId: u, nonce: n, expires: e };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function generateNonce() {
+    return crypto.randomBytes(16).toString("hex");
+  }
+
+  // ====== LOCKOUTS ======
+  function getLockout(userId) {
+    const lockout = lockouts.get(userId);
+    if (!lockout) return null;
+    if (Date.now() >= lockout.until) {
+      lockouts.delete(userId);
+      return null;
+    }
+    return lockout;
+  }
+
+  // Returns the updated code session, or { locked } once the user runs out of attempts
+  function recordFailedAttempt(userId, session) {
+    const attempts = (session.attempts || 0) + 1;
+    if (attempts < maxAttempts) {
+      return { locked: null, attemptsLeft: maxAttempts - attempts, session: { ...session, attempts } };
+    }
+    const lockout = {
+      userId,
+      email: session.email,
+      attempts,
+      lockedAt: Date.now(),
+      until: Date.now() + lockoutMs
+    };
+    lockouts.set(userId, lockout);
+    return { locked: lockout, attemptsLeft: 0, session: null };
+  }
+
+  function listLockouts() {
+    return lockouts.values().filter(lockout => Date.now() < lockout.until);
+  }
+
+  function clearLockout(userId) {
+    return lockouts.delete(userId);
+  }
+
+  // ====== SEND LIMITS ======
+  function recentSends(key) {
+    const cutoff = Date.now() - DAY_MS;
+    return ((sendLog.get(key) || {}).sentAt || []).filter(ts => ts > cutoff);
+  }
+
+  // Returns { ok: true } or { ok: false, reason, retryAfterMs } without recording anything
+  function checkSendAllowed(userId, email) {
+    const lockout = getLockout(userId);
+    if (lockout) {
+      return { ok: false, reason: "locked", retryAfterMs: lockout.until - Date.now() };
+    }
+
+    const userSends = recentSends(`user:${userId}`);
+    const lastSend = userSends[userSends.length - 1];
+    if (lastSend && Date.now() - lastSend < resendCooldownMs) {
+      return { ok: false, reason: "cooldown", retryAfterMs: lastSend + resendCooldownMs - Date.now() };
+    }
+    if (userSends.length >= dailyUserCap) {
+      return { ok: false, reason: "user_cap", retryAfterMs: userSends[0] + DAY_MS - Date.now() };
+    }
+
+    const emailSends = recentSends(`email:${email.toLowerCase()}`);
+    if (emailSends.length >= dailyEmailCap) {
+      return { ok: false, reason: "email_cap", retryAfterMs: emailSends[0] + DAY_MS - Date.now() };
+    }
+
+    return { ok: true };
+  }
+
+  function recordSend(userId, email) {
+    for (const key of [`user:${userId}`, `email:${email.toLowerCase()}`]) {
+      sendLog.set(key, { sentAt: [...recentSends(key), Date.now()] });
+    }
+  }
+
+  // User-facing explanation for a failed checkSendAllowed()
+  function describeLimit({ reason, retryAfterMs }, say = limitText) {
+    const wait = formatWait(retryAfterMs, say);
+    switch (reason) {
+      case "locked":
+        return say("locked", { wait });
+      case "cooldown":
+        return say("cooldown", { wait });
+      case "user_cap":
+        return say("dailyCap", { cap: dailyUserCap, wait });
+      case "email_cap":
+        return say("emailCap", { cap: dailyEmailCap, wait });
+      default:
+        return say("unavailable");
+    }
+  }
+
+  return {
+    maxAttempts,
+    generateCode,
+    hashCode,
+    codeMatches,
+    createLinkToken,
+    readLinkToken,
+    generateNonce,
+    getLockout,
+    recordFailedAttempt,
+    listLockouts,
+    clearLockout,
+    checkSendAllowed,
+    recordSend,
+    describeLimit
+  };
+}
+
+module.exports = { createVerificationGuard, formatWait, limitText };